@@ -1,237 +1,842 @@
 import bacon from 'baconjs';
-import pathToRegexp from 'path-to-regexp';
 import chunk from 'lodash/chunk';
 import noop from 'lodash/noop';
 import isEqual from 'lodash/isEqual';
-
-let pauseUpdating = false;
-let historyBus;
+import omit from 'lodash/omit';
+
+import {MAX_REDIRECTS, buildLocation, compileRoutes, matchLocation} from './src/routes';
+import {getNavigationGuards, runGuards} from './src/guards';
+import {renderNavigations} from './src/render';
+import {defaultQueryCodec} from './src/query';
+import {createDefaultHistory, isBrowser} from './src/history';
+import {createScroller} from './src/scroll';
+import {isLoadingValue, preloadHandlers} from './src/lazy';
+import {createNavigationEvent, eventTypes, startNavigationRecord} from './src/events';
+import {DEFAULT_MAX_STATE_SIZE, createEntryId, defaultStateSerializer, serializeState} from './src/state';
+import {resolveHead, validateHead} from './src/head';
+import {createRedirectLoopError} from './src/errors';
+
+export {errorCodes} from './src/errors';
+export {eventTypes} from './src/events';
+export {defaultQueryCodec} from './src/query';
+export {defaultParamTypes} from './src/params';
+export {createBrowserHistory, createHashHistory, createMemoryHistory} from './src/history';
+export {resolveRoute} from './src/resolve';
+export {interceptLinks} from './src/links';
+export {createSessionStateStore, defaultStateSerializer} from './src/state';
+export {renderHead} from './src/head';
+
+let sharedHistoryBus;
 
 /**
- * baconRouter from intial baseUrl and initialPath, updating browser URL location and states automagically.
+ * createRouter from a route table, updating browser URL location and states automagically.
  *
- * Routes:
- * - PathMatching String or Regex,
- * - Called function (return stream),
- * - PathMatching String or Regex,
- * - Called function (return stream),
+ * Routes are objects carrying a name, a path (String or RegExp), a handler (return stream)
+ * and any metadata you'd like to keep alongside them (page type, auth requirements, analytics tags...)
  *
  *  should look like
- * [
- *     '',
- *     () => bacon.later(0, {pageType: '404'}),
- *
- *     /(.+)\/supercoach/,
- *     (matchId) => bacon.later(0, {matchId, pageType: 'supercoach'}),
- * ]
+ * {
+ *     baseUrl: 'http://www.foxsports.com.au/some-dynamic-page',
+ *     initialPath: '/',
+ *     routes: [
+ *         {name: 'home', path: '/', handler: () => bacon.later(0, {pageType: 'home'})},
+ *         {name: 'supercoach', path: /^\/(?<matchId>.+)\/supercoach$/, handler: ({params}) => bacon.later(0, params), requiresAuth: true},
+ *     ],
+ * }
  *
- * @param  {String}     baseUrl          Base Path (to be ignored from URL.location)
- * @param  {String}     initialPath      Starting Path (should match one of your routes)
- * @param  {...*}       routesAndReturns (String|Regex, Function, n+) Route + Function to call on match
- * @return {Observable}                  EventStream that returns your matched route stream per route.
+ * @param  {Object}     options                        Router options
+ * @param  {String}     options.baseUrl                Base Path (to be ignored from URL.location)
+ * @param  {String}     [options.initialPath]          Starting Path (should match one of your routes), defaulting to the history's location
+ * @param  {Object[]}   options.routes                 Route definitions, {name, path, handler, ...meta}, in priority order. Routes can
+ *                                                     carry a `lazy` function returning a Promise of their handler's module instead,
+ *                                                     emitting {status: 'loading', route} while it loads. See src/lazy.js.
+ *                                                     In place of a handler, routes can `redirect` elsewhere or be an `alias` of
+ *                                                     another route. See src/routes.js.
+ * @param  {Boolean}    [options.ranked]               Match routes by specificity rather than priority order, warning about
+ *                                                     unreachable and ambiguous routes. See src/rank.js.
+ * @param  {Object}     [options.paramTypes]           Custom param types for String paths, e.g. `:id(uuid)`, alongside int, slug
+ *                                                     and isoDate. See src/params.js.
+ * @param  {Boolean}    [options.positionalRegExpArgs] Test RegExp paths against the whole location and call their handlers
+ *                                                     with each capture as an argument, as baconRouter does, rather than with
+ *                                                     {params, query, hash} from the decoded path
+ * @param  {Function}   [options.notFound]             Called with {location, path, query, hash} when no route matches (return stream)
+ * @param  {Function}   [options.onError]              Called with {code, error, location} for malformed URLs or throwing handlers (return stream)
+ * @param  {Function[]} [options.beforeEach]           Global navigation guards, run after the current route's beforeLeave and before
+ *                                                     the next route's beforeEnter. See src/guards.js.
+ * @param  {Object}     [options.queryCodec]           Query string {parse, stringify} functions, defaulting to the codec in src/query.js
+ * @param  {Bus}        [options.historyBus]           Bus of {location, state, title, shouldReplaceState} to navigate with,
+ *                                                     each router creates its own by default
+ * @param  {Object}     [options.history]              History adapter (see src/history.js), defaulting to the browser's history in
+ *                                                     the browser and an in-memory one under Node
+ * @param  {Object}     [options.scroll]               Scroll handling, restoring positions on back/forward navigations and scrolling to
+ *                                                     the top (or #hash target) on new ones. true (the default in the browser), false
+ *                                                     to leave scrolling alone, or {container} to scroll an element rather than the window
+ * @param  {Object}     [options.stateSerializer]      History state {serialize, deserialize} functions, defaulting to the JSON-safe
+ *                                                     serializer in src/state.js
+ * @param  {Object}     [options.stateStore]           Store keeping history state outside the history entries, keyed by entry ID,
+ *                                                     e.g. createSessionStateStore()
+ * @param  {Number}     [options.maxStateSize]         Largest serialised history state allowed, in characters of JSON
+ * @param  {Object}     [options.head]                 Default document head (title, description, canonical, lang, og, meta), or a
+ *                                                     function of the routed value returning one, which routes' heads build on.
+ *                                                     See src/head.js.
+ * @return {Observable}                                EventStream that returns your matched route stream per route, along with the
+ *                                                     router's historyBus, history, current, isActive, events, href, navigate,
+ *                                                     preload, preloadLocation and dispose.
  */
-export default function baconRouter(baseUrl, initialPath, ...routesAndReturns) {
-    // @TODO BaseUrl, Initial Path, And RoutesAndReturns should be objects.
-    // Required next is '404' or missed routes perhaps. Currently the returned stream
-    // is just 'nothing', means we won't hit anything.
-
-    // Because the routes and functions are 'paired', loop in increments of 2, first section is a route
-    // where the second section is the function to call and return.
-    // Generate [[(currentRoute) => [matches, value]]
-    const routesAndHandlers = chunk(routesAndReturns)
-        .map(([route, handler], i) => {
-            if (typeof handler !== 'function') {
-                throw new Error(
-                    `baconRouter: Unexpected input ${typeof handler} at argument ${(i * 2) + 1}. `
-                    + 'Format is <base>, <initialPath>, <route-match>, <route-response-function>, <route-match>...'
-                );
+export function createRouter({
+    baseUrl,
+    initialPath,
+    routes,
+    ranked = false,
+    paramTypes,
+    positionalRegExpArgs = false,
+    notFound,
+    onError,
+    beforeEach,
+    queryCodec = defaultQueryCodec,
+    historyBus: providedHistoryBus,
+    history = createDefaultHistory(),
+    scroll = isBrowser(),
+    stateSerializer = defaultStateSerializer,
+    stateStore,
+    maxStateSize = DEFAULT_MAX_STATE_SIZE,
+    head: defaultHead,
+}) {
+    const matchers = compileRoutes(routes, {ranked, paramTypes, positionalRegExpArgs});
+
+    if (defaultHead !== undefined) {
+        validateHead('Router', defaultHead);
+    }
+
+    // Routers only manage the document head once they (or their routes) have one.
+    const hasHead = defaultHead !== undefined || matchers.some(({chain}) => chain.some((route) => route.head !== undefined));
+
+    const globalGuards = [].concat(beforeEach || []);
+
+    let hasBaconRouterBooted = false;
+    let isUnloading = false;
+    let committed = null; // Last navigation allowed through the guards, {navigation, match}
+    let committedIndex = 0; // Position of the committed entry within the browser history
+    let restoringIndex = null; // Position the browser is travelling back to after a cancelled back/forward navigation
+    let pendingScroll = null; // Where to scroll once the committed navigation's route renders, {position, hash}
+    let currentRoute = null; // Last committed navigation, as router.current describes it
+    let activeNavigation = null; // Record of the navigation being guarded, for router.events
+    let resolvingNavigation = null; // Record of the committed navigation until its route's stream emits
+
+    const scroller = scroll && isBrowser() ? createScroller(scroll === true ? {} : scroll) : null;
+    const scrollPositions = {}; // Scroll positions of entries we've left this session, by index
+
+    const stateOptions = {serializer: stateSerializer, maxStateSize};
+    const initialLocation = initialPath === undefined ? history.getLocation() : baseUrl + '/' + initialPath;
+    const initialEntry = history.getState();
+
+    const historyBus = providedHistoryBus || new bacon.Bus();
+    const disposals = new bacon.Bus();
+    const eventBus = new bacon.Bus();
+    const navigations = historyBus
+        .takeUntil(disposals)
+        .toProperty({
+            location: initialLocation,
+            // Reloading keeps the entry the router wrote, so its state carries on.
+            state: initialEntry && initialEntry.location === initialLocation ? readEntryState(initialEntry) : null,
+            title: null,
+        })
+        .flatMapLatest((navigation) => {
+            if (navigation.fromPopState && navigation.index === restoringIndex) {
+                // Browser is travelling back to the entry of a navigation cancelled by a guard.
+                restoringIndex = null;
+
+                return bacon.never();
             }
 
-            if (typeof route === 'string') {
-                const keys = [];
-                const regexp = pathToRegexp(route, keys);
-
-                return (currentRoute, splitCurrentRoute) => {
-                    const [encodedPath, search, hash] = splitCurrentRoute();
-
-                    let path;
-
-                    try {
-                        path = decodeURIComponent(encodedPath);
-                    } catch (error) {
-                        // URL path isn't valid - caught and wrapped in bacon.Error (below)
-                        throw {
-                            type: 'baconjs-router.malformed-url',
-                            data: {
-                                url: location.href,
-                            },
-                            message: `Malformed URL: ${location}`,
-                        };
-                    }
-                    const matches = regexp.exec(path);
-
-                    if (matches) {
-                        const params = keys.reduce((acc, {name}, index) => Object.assign(acc, {[name]: matches[index + 1]}), {});
-                        const query = search
-                            .split('&')
-                            .reduce((acc, search) => {
-                                if (!search) {
-                                    return acc;
-                                }
-
-                                let key, value;
-
-                                try {
-                                    [key, value] = search
-                                        .split('=', 2)
-                                        .map(decodeURIComponent);
-                                } catch (error) {
-                                    // Ignore malformed query param
-                                    return acc;
-                                }
-
-                                return key ? Object.assign(acc, {[key]: value}) : acc;
-                            }, {});
-
-                        return [true, handler({params, query, hash})];
-                    } else {
-                        return [false];
-                    }
-                };
-            } else if (route instanceof RegExp) {
-                return (currentRoute) => {
-                    const matches = route.exec(currentRoute);
-
-                    if (matches) {
-                        return [true, handler(...matches.slice(1))]; // First item is the string that matched, not the capture groups.
-                    } else {
-                        return [false];
-                    }
-                };
-            } else {
-                throw new Error('baconRouter: Unknown route test method');
+            startNavigation(navigation);
+
+            if (!navigation.fromPopState) {
+                try {
+                    serializeState(navigation.state, stateOptions);
+                } catch (error) {
+                    return bacon.once({navigation: Object.assign({}, navigation, {state: null}), error});
+                }
             }
-        });
 
-    let hasBaconRouterBooted = false;
+            return guardNavigation(navigation, []);
+        })
+        .doAction(reportCommittedNavigation)
+        .doAction(({navigation, match}) => {
+            committed = {navigation, match};
 
-    const historyBus = getBaconRouterHistoryBus();
-    const history = bacon
-        .update(
-            {
-                location: baseUrl + '/' + initialPath,
-                state: null,
-                title: null,
-            },
+            if (isUnloading) {
+                return;
+            }
+
+            const {state, title, location, shouldReplaceState, fromPopState, redirectedFrom, index} = navigation;
+
+            if (fromPopState) {
+                // The browser is already showing this entry, so its scroll position is only kept in memory.
+                rememberScrollPosition(false);
+                committedIndex = index;
+                history.setTitle(title || history.getTitle());
+                scheduleScroll(match, {position: scrollPositions[index] || navigation.scroll});
 
-            [historyBus], ((previous, newHistory) => newHistory)
-        )
-        .doAction(({state, title, location, shouldReplaceState}) => {
-            if (pauseUpdating || !process || !process.browser) {
                 return;
             }
 
-            const thisHistory = { // For first render, history will have no values so take from the window
+            if (hasBaconRouterBooted) {
+                rememberScrollPosition(!shouldReplaceState);
+                scheduleScroll(match, {hash: match && match.hash});
+            } else {
+                // Browsers only scroll to the hash when the page loads, and not at all for reloads we restore ourselves.
+                const {scroll: position} = history.getState() || {};
+
+                scheduleScroll(match, (position || (match && match.hash)) && {position, hash: match && match.hash});
+            }
+
+            const thisHistory = { // For first render, history will have no values so take from the history adapter
                 state,
-                title: title || window.document.title,
-                location: location || window.location.href,
+                title: title || history.getTitle(),
+                location: location || history.getLocation(),
             };
 
-            window.document.title = thisHistory.title;
+            history.setTitle(thisHistory.title);
 
             if (hasBaconRouterBooted && shouldReplaceState) {
-                window.history.replaceState(thisHistory, title, location);
+                committedIndex = index === undefined ? committedIndex : index;
+                history.replace(toHistoryEntry(thisHistory, committedIndex, true), thisHistory.title, location);
             } else if (hasBaconRouterBooted) {
-                window.history.pushState(thisHistory, title, location);
+                committedIndex++;
+                delete scrollPositions[committedIndex];
+                history.push(toHistoryEntry(thisHistory, committedIndex, false), thisHistory.title, location);
+            } else if (redirectedFrom) {
+                // Initial location was redirected by a guard, so the browser location needs to follow.
+                committedIndex = getHistoryIndex(history.getState());
+                history.replace(toHistoryEntry(thisHistory, committedIndex, true), thisHistory.title, location);
+                hasBaconRouterBooted = true;
             } else {
-                window.history.replaceState(thisHistory, title);
+                committedIndex = getHistoryIndex(history.getState());
+                history.replace(toHistoryEntry(thisHistory, committedIndex, true), thisHistory.title);
                 hasBaconRouterBooted = true;
             }
         })
-        .skipDuplicates(isEqual);
+        .skipDuplicates((previous, next) => isEqual(previous.navigation, next.navigation))
+        .doAction((item) => {
+            currentRoute = describeCurrentRoute(item, history.getTitle(), currentRoute);
+        })
+        .toProperty(); // So the route stream and router.current can be subscribed to one after the other
+
+    const current = navigations.map(() => currentRoute).skipDuplicates();
+
+    const events = eventBus.takeUntil(disposals);
 
-    listenToPopState(historyBus);
+    const unlistenToPopState = listenToPopState(historyBus, {
+        history,
+        onBeforeUnload: () => {
+            isUnloading = true;
+        },
+        readState: readEntryState,
+        onPopState: ({location}) => {
+            eventBus.push(createNavigationEvent(eventTypes.popState, startNavigationRecord({location, fromPopState: true}, false)));
+        },
+    });
+
+    const routeStream = renderNavigations(navigations, {notFound, onError})
+        .doAction(applyRouteHead)
+        .doAction(applyPendingScroll)
+        .doError(applyPendingScroll)
+        .doAction(reportRouteValue)
+        .doError(reportRouteError)
+        .takeUntil(disposals);
+
+    /**
+     * Report a navigation starting, along with the one it replaces if that hadn't made it through its guards.
+     *
+     * @param  {Object}    navigation Navigation from the history bus
+     * @return {undefined}
+     */
+    function startNavigation(navigation) {
+        if (activeNavigation) {
+            eventBus.push(createNavigationEvent(eventTypes.navigationCancelled, activeNavigation, {reason: 'superseded'}));
+        }
 
-    return history.flatMapLatest((history) => {
-        let {location/*, state*/} = history;  // eslint-disable-line spaced-comment
-        const currentRoute = location.replace(baseUrl, ''); // @TODO Less hacky.
-        const splitCurrentRoute = () => (
-            (/^([^?#]*)(?:\?([^#]*))?(?:#(.*))?$/.exec(currentRoute) || [])
-                .slice(1)
-                .map((value) => value || '')
-        );
+        activeNavigation = startNavigationRecord(navigation, !hasBaconRouterBooted);
+        eventBus.push(createNavigationEvent(eventTypes.navigationStart, activeNavigation));
+    }
+
+    /**
+     * Report a navigation making it through its guards, or failing to.
+     *
+     * @param  {Object}    item Committed navigation, {navigation, match} (or {navigation, error})
+     * @return {undefined}
+     */
+    function reportCommittedNavigation({navigation, match, error}) {
+        const record = Object.assign(activeNavigation || startNavigationRecord(navigation, false), {
+            location: navigation.location,
+            name: match && match.route ? match.route.name : null,
+        });
 
-        for (let i = 0; i < routesAndHandlers.length; ++i) {
-            try {
-                const [isMatched, value] = routesAndHandlers[i](currentRoute, splitCurrentRoute);
+        activeNavigation = null;
+        resolvingNavigation = null;
 
-                if (isMatched) {
-                    return value;
+        if (error) {
+            eventBus.push(createNavigationEvent(eventTypes.navigationError, record, {error}));
+
+            return;
+        }
+
+        eventBus.push(createNavigationEvent(eventTypes.routeMatched, record, {redirectedFrom: navigation.redirectedFrom}));
+
+        if (committed && isEqual(committed.navigation, navigation)) {
+            // Same navigation as the one showing, so its route's stream won't be swapped out.
+            eventBus.push(createNavigationEvent(eventTypes.handlerResolved, record));
+        } else {
+            resolvingNavigation = record;
+        }
+    }
+
+    /**
+     * Report the committed navigation's route stream emitting its first value.
+     *
+     * @param  {*}         value Routed value, loading values are still waiting for the route itself
+     * @return {undefined}
+     */
+    function reportRouteValue(value) {
+        if (resolvingNavigation && !isLoadingValue(value)) {
+            eventBus.push(createNavigationEvent(eventTypes.handlerResolved, resolvingNavigation));
+            resolvingNavigation = null;
+        }
+    }
+
+    /**
+     * Report the committed navigation's route stream emitting an error before any value.
+     *
+     * @param  {*}         error Error from the route's stream
+     * @return {undefined}
+     */
+    function reportRouteError(error) {
+        if (resolvingNavigation) {
+            eventBus.push(createNavigationEvent(eventTypes.navigationError, resolvingNavigation, {error}));
+            resolvingNavigation = null;
+        }
+    }
+
+    /**
+     * Run a navigation through the leaving route's, global and entering route's guards.
+     *
+     * @param  {Object}     navigation        Navigation from the history bus, {location, state, title, shouldReplaceState}
+     * @param  {String[]}   redirectedThrough Locations redirected through on the way to this navigation
+     * @return {Observable}                   Stream of the allowed {navigation, match} (or {navigation, error}), nothing if cancelled
+     */
+    function guardNavigation(navigation, redirectedThrough) {
+        let match;
+
+        try {
+            match = matchLocation(matchers, baseUrl, navigation.location, queryCodec);
+        } catch (error) {
+            // Malformed URLs don't reach any guards, they're handed straight to onError
+            return bacon.once({navigation, error});
+        }
+
+        if (match.redirect) {
+            // Redirect routes don't reach any guards either, and only move the navigation, keeping its state and title.
+            return followRedirect(navigation, match.redirect.target, redirectedThrough, {state: navigation.state, title: navigation.title});
+        }
+
+        const from = committed && committed.match;
+
+        return runGuards(getNavigationGuards(from, match, globalGuards), {to: match, from, navigation})
+            .flatMap(({type, target}) => {
+                if (type === 'cancel') {
+                    cancelNavigation(navigation);
+
+                    return bacon.never();
+                } else if (type === 'redirect') {
+                    return followRedirect(navigation, target, redirectedThrough);
+                } else {
+                    return bacon.once({navigation, match});
                 }
-            } catch (error) {
-                return new bacon.Error(error);
+            })
+            .mapError((error) => ({navigation, error}));
+    }
+
+    /**
+     * Follow a redirect, from a redirect route or a guard, unless it leads back to a location already redirected through
+     * (or there have been too many).
+     *
+     * @param  {Object}        navigation        Redirected navigation
+     * @param  {String|Object} target            Location, or {name, params, query, hash, state, title}
+     * @param  {String[]}      redirectedThrough Locations redirected through on the way to the navigation
+     * @param  {Object}        [overrides]       Anything the redirect's navigation keeps from the redirected one, e.g. {state}
+     * @return {Observable}                      Stream of the allowed {navigation, match} (or {navigation, error}), nothing if cancelled
+     */
+    function followRedirect(navigation, target, redirectedThrough, overrides) {
+        const locations = redirectedThrough.concat(navigation.location);
+
+        let redirect;
+
+        try {
+            redirect = Object.assign(toRedirectNavigation(navigation, target), overrides);
+        } catch (error) {
+            return bacon.once({navigation, error}); // e.g. a redirect to an unknown route
+        }
+
+        if (locations.indexOf(redirect.location) !== -1 || locations.length > MAX_REDIRECTS) {
+            return bacon.once({navigation, error: createRedirectLoopError(locations.concat(redirect.location))});
+        }
+
+        return guardNavigation(redirect, locations);
+    }
+
+    /**
+     * Build the navigation replacing one redirected by a guard or a redirect route.
+     *
+     * @param  {Object}        navigation Redirected navigation
+     * @param  {String|Object} target     Location, or {name, params, query, hash, state, title}
+     * @return {Object}                   Navigation to the target
+     */
+    function toRedirectNavigation(navigation, target) {
+        const {name, params, query, hash, state = null, title = null} = typeof target === 'string' ? {} : target;
+
+        return {
+            location: typeof target === 'string' ? target : href(name, params, query, hash),
+            state,
+            title,
+            // A back/forward navigation has already moved the browser, so the redirect replaces that entry.
+            shouldReplaceState: !!(navigation.shouldReplaceState || navigation.fromPopState),
+            redirectedFrom: navigation.location,
+            index: navigation.index,
+        };
+    }
+
+    /**
+     * Undo a cancelled navigation. Only back/forward navigations have already changed the browser location.
+     *
+     * @param  {Object}    navigation Cancelled navigation
+     * @return {undefined}
+     */
+    function cancelNavigation(navigation) {
+        if (activeNavigation) {
+            eventBus.push(createNavigationEvent(
+                eventTypes.navigationCancelled,
+                Object.assign(activeNavigation, {location: navigation.location}),
+                {reason: 'guard'}
+            ));
+            activeNavigation = null;
+        }
+
+        if (!navigation.fromPopState) {
+            return;
+        }
+
+        if (navigation.index === undefined) {
+            // Entry written by something other than this router, so we can't tell how far to travel back.
+            history.push(history.getState(), '', committed && committed.navigation.location);
+        } else if (committedIndex !== navigation.index) {
+            restoringIndex = committedIndex;
+            history.go(committedIndex - navigation.index);
+        }
+    }
+
+    /**
+     * Build the history entry for a committed navigation, serialising its state into it (or into the state store).
+     *
+     * @param  {Object}  thisHistory Navigation's {state, title, location}
+     * @param  {Number}  index       Position of the entry within the browser history
+     * @param  {Boolean} isReplacing Whether the entry replaces the current one, keeping its ID
+     * @return {Object}              History entry, {state, title, location, index, id}
+     */
+    function toHistoryEntry({state, title, location}, index, isReplacing) {
+        const currentEntry = isReplacing ? history.getState() : null;
+        const id = (currentEntry && currentEntry.id) || createEntryId();
+
+        let storedState = null;
+
+        try {
+            storedState = serializeState(state, stateOptions);
+
+            if (stateStore && storedState !== null) {
+                stateStore.set(id, storedState);
+                storedState = null;
             }
+        } catch (error) {
+            // Redirect targets can bring state that wasn't checked on the way in, or the store can be full.
+            console.warn(`baconRouter: History state for ${location} was dropped. ${error.message}`);
+            storedState = null;
+        }
+
+        return {state: storedState, title, location, index, id};
+    }
+
+    /**
+     * Read the state of a history entry the router wrote.
+     *
+     * @param  {Object} entry History entry, from the history adapter
+     * @return {*}            Deserialised state, null if there isn't any (or it's gone from the state store)
+     */
+    function readEntryState(entry) {
+        const storedState = stateStore && entry.id ? stateStore.get(entry.id) : entry.state;
+
+        return storedState === null || storedState === undefined ? null : stateSerializer.deserialize(storedState);
+    }
+
+    /**
+     * Keep the scroll position of the entry being left, so going back to it can restore it.
+     *
+     * @param  {Boolean}   writeToEntry Also write it into the entry's history state, when it's still the current entry
+     * @return {undefined}
+     */
+    function rememberScrollPosition(writeToEntry) {
+        if (!scroller || !hasBaconRouterBooted) {
+            return;
+        }
+
+        const position = scroller.getPosition();
+
+        scrollPositions[committedIndex] = position;
+
+        if (writeToEntry) {
+            history.replace(Object.assign({}, history.getState(), {scroll: position}), history.getTitle());
+        }
+    }
+
+    /**
+     * Scroll once the committed navigation's route renders, unless a route in its chain opts out with `scroll: false`.
+     *
+     * @param  {Object}    match  Committed match, if any
+     * @param  {Object}    target Where to scroll, {position, hash}, nothing to leave the scroll position alone
+     * @return {undefined}
+     */
+    function scheduleScroll(match, target) {
+        const isOptedOut = !!match && !!match.chain && match.chain.some(({route}) => route.scroll === false);
+
+        pendingScroll = scroller && target && !isOptedOut ? target : null;
+    }
+
+    /**
+     * Apply the head for the committed route's value, its title through the history adapter like navigations' titles.
+     *
+     * @param  {*}         value Routed value, loading values keep the head as it is
+     * @return {undefined}
+     */
+    function applyRouteHead(value) {
+        if (!hasHead || isLoadingValue(value)) {
+            return;
+        }
+
+        const head = resolveHead(committed && committed.match, value, defaultHead);
+
+        if (head.title !== undefined && head.title !== null) {
+            history.setTitle(String(head.title));
+        }
+
+        if (history.setHead) {
+            history.setHead(head);
+        }
+    }
+
+    /**
+     * Scroll to the pending target, after subscribers have had the chance to render the route's value.
+     *
+     * @param  {*}         value Routed value, loading values keep waiting for the route itself
+     * @return {undefined}
+     */
+    function applyPendingScroll(value) {
+        if (!pendingScroll || isLoadingValue(value)) {
+            return;
+        }
+
+        const target = pendingScroll;
+
+        pendingScroll = null;
+        setTimeout(() => scroller.scrollTo(target));
+    }
+
+    /**
+     * Whether a named route is active, either matched itself or a parent of the matched route.
+     *
+     * @param  {String}     name     Route name
+     * @param  {Object}     [params] Params the route must be active with, others are ignored
+     * @return {Observable}          Property of true while the route is active
+     */
+    function isActive(name, params = {}) {
+        return current
+            .map(({name: currentName, params: currentParams}) => {
+                const matcher = matchers.find(({route}) => route.name === currentName);
+
+                return !!matcher
+                    && matcher.chain.some((route) => route.name === name)
+                    && Object.keys(params).every((key) => String(currentParams[key]) === String(params[key]));
+            })
+            .skipDuplicates();
+    }
+
+    /**
+     * Build the full location for a named route.
+     *
+     * @param  {String} name        Route name
+     * @param  {Object} [params]    Path params, encoded into the route's path
+     * @param  {Object} [query]     Query values, encoded into the query string
+     * @param  {String} [hash]      Hash, without the leading '#'
+     * @return {String}             Location, including the baseUrl
+     */
+    function href(name, params, query, hash) {
+        return buildLocation(matchers, {baseUrl, queryCodec}, {name, params, query, hash});
+    }
+
+    /**
+     * Navigate to a named route, pushing its location onto the history bus.
+     *
+     * @param  {String}  name                     Route name
+     * @param  {Object}  [params]                 Path params
+     * @param  {Object}  [options]                Navigation options
+     * @param  {Object}  [options.query]          Query values
+     * @param  {String}  [options.hash]           Hash, without the leading '#'
+     * @param  {*}       [options.state]          History state
+     * @param  {String}  [options.title]          Document title
+     * @param  {Boolean} [options.replace=false]  Replace the current history entry rather than pushing a new one
+     * @return {String}                           The location navigated to
+     */
+    function navigate(name, params, {query, hash, state = null, title, replace = false} = {}) {
+        const location = href(name, params, query, hash);
+
+        try {
+            serializeState(state, stateOptions);
+        } catch (error) {
+            throw new Error(`baconRouter: ${error.message}`);
         }
 
-        return bacon.never();
+        historyBus.push({
+            location,
+            state,
+            title,
+            shouldReplaceState: replace,
+        });
+
+        return location;
+    }
+
+    /**
+     * Load the lazy handlers of a named route (and its parents) ahead of navigating to it.
+     *
+     * @param  {String}  name Route name
+     * @return {Promise}      Resolves once the handlers have loaded
+     */
+    function preload(name) {
+        const matcher = matchers.find(({route}) => route.name === name);
+
+        if (!matcher) {
+            throw new Error(`baconRouter: Unknown route "${name}"`);
+        }
+
+        return preloadHandlers(matcher.chain);
+    }
+
+    /**
+     * Load the lazy handlers of the routes matching a location, e.g. as a link is hovered.
+     *
+     * @param  {String}  location Location, including the baseUrl
+     * @return {Promise}          Resolves once the handlers have loaded
+     */
+    function preloadLocation(location) {
+        let match;
+
+        try {
+            match = matchLocation(matchers, baseUrl, location, queryCodec);
+        } catch (error) {
+            return Promise.resolve([]); // Malformed URLs have nothing to load
+        }
+
+        return preloadHandlers(match.chain.map(({route}) => route));
+    }
+
+    /**
+     * Stop routing, unhooking the router from its history and ending its streams (and its own history bus).
+     *
+     * @return {undefined}
+     */
+    function dispose() {
+        unlistenToPopState();
+        disposals.push(true);
+        pendingScroll = null;
+        eventBus.end();
+
+        if (scroller) {
+            scroller.dispose();
+        }
+
+        disposals.end();
+
+        if (!providedHistoryBus) {
+            historyBus.end();
+        }
+    }
+
+    return Object.assign(routeStream, {
+        routes: matchers.map(({route}) => route),
+        historyBus,
+        history,
+        current,
+        isActive,
+        events,
+        href,
+        navigate,
+        preload,
+        preloadLocation,
+        dispose,
     });
 }
 
 /**
- * The bacon router history bus can be used to push locations into browser history
+ * baconRouter from intial baseUrl and initialPath, a thin wrapper around createRouter for paired routes and handlers.
+ *
+ * Routes:
+ * - PathMatching String or Regex,
+ * - Called function (return stream),
+ * - PathMatching String or Regex,
+ * - Called function (return stream),
+ *
+ *  should look like
+ * [
+ *     '',
+ *     () => bacon.later(0, {pageType: '404'}),
+ *
+ *     /(.+)\/supercoach/,
+ *     (matchId) => bacon.later(0, {matchId, pageType: 'supercoach'}),
+ * ]
+ *
+ * Each pair becomes a route named by its position and path (e.g. '1:/about'), so a path can be listed more than once with
+ * the first listed winning, and RegExp handlers are called with each capture as an argument.
+ * Each baconRouter has its own history bus (router.historyBus). In the browser, locations pushed onto the deprecated
+ * getBaconRouterHistoryBus() are forwarded onto it too, until the router is disposed.
+ *
+ * @param  {String}     baseUrl          Base Path (to be ignored from URL.location)
+ * @param  {String}     initialPath      Starting Path (should match one of your routes)
+ * @param  {...*}       routesAndReturns (String|Regex, Function, n+) Route + Function to call on match
+ * @return {Observable}                  EventStream that returns your matched route stream per route, along with the same
+ *                                       properties as createRouter's
+ */
+export default function baconRouter(baseUrl, initialPath, ...routesAndReturns) {
+    const router = createRouter({
+        baseUrl,
+        initialPath,
+        positionalRegExpArgs: true,
+        routes: chunk(routesAndReturns, 2).map(([path, handler], index) => ({name: `${index}:${path}`, path, handler})),
+    });
+
+    if (!isBrowser()) {
+        return router; // Node hands out a new shared bus each time, so there's nothing to forward
+    }
+
+    const unplugSharedHistoryBus = router.historyBus.plug(getBaconRouterHistoryBus());
+    const {dispose} = router;
+
+    return Object.assign(router, {
+        dispose: () => {
+            unplugSharedHistoryBus();
+            dispose();
+        },
+    });
+}
+
+/**
+ * The bacon router history bus can be used to push locations into browser history.
+ *
+ * Deprecated, push onto a router's own historyBus instead. Each baconRouter forwards what's pushed here onto its own
+ * bus, so a push navigates every baconRouter on the page (as it always has). Routers from createRouter ignore it
+ * unless handed it as their historyBus.
  *
  * @return {Observable} A bus which expects objects like {location, state, title}
  */
 export function getBaconRouterHistoryBus() {
-    if (process && process.browser) {
-        if (!historyBus) {
-            historyBus = new bacon.Bus();
+    if (isBrowser()) {
+        if (!sharedHistoryBus) {
+            sharedHistoryBus = new bacon.Bus();
         }
 
-        return historyBus;
+        return sharedHistoryBus;
     } else {
         // Always recreate the history bus for node.
         return new bacon.Bus();
     }
 }
 
-export function listenToPopState(historyBus) {
-    if (!process || !process.browser) {
-        return;
-    }
-
-    let originalOnPopState = window.onpopstate || noop;
-    let originalUnload = window.onbeforeunload || noop;
-
-    window.onpopstate = ((event) => {
-        // If a navigation attempt occurs other than via historyBus, reload the page at the new location.
-        if (!event.state) {
-            event.target.location.reload();
+/**
+ * Push back/forward navigations onto a history bus.
+ *
+ * @param  {Bus}      historyBus               Bus to push {location, state, title} onto
+ * @param  {Object}   [options]                Options
+ * @param  {Object}   [options.history]        History adapter to listen to, see src/history.js
+ * @param  {Function} [options.onBeforeUnload] Called as the page unloads
+ * @param  {Function} [options.onPopState]     Called with {state, location} for each back/forward navigation
+ * @param  {Function} [options.readState]      Called with the router's history entry for the navigation's state
+ * @return {Function}                          Removes the listeners again
+ */
+export function listenToPopState(historyBus, {
+    history = createDefaultHistory(),
+    onBeforeUnload = noop,
+    onPopState = noop,
+    readState = (entry) => entry.state,
+} = {}) {
+    const unlisten = history.listen(({state, location}) => {
+        onPopState({state, location});
+
+        if (!state) {
+            // Entry the router didn't write (e.g. a hand edited hash), so route it as a new navigation.
+            historyBus.push({
+                location,
+                state: null,
+                title: null,
+                shouldReplaceState: true,
+            });
 
             return;
         }
 
-        const stateData = event.state;
-
-        pauseUpdating = true;
-
         historyBus.push({
-            state:    stateData.state,
-            title:    stateData.title,
-            location: stateData.location,
-        });
-        window.document.title = stateData.title || window.document.title;
-
-        setTimeout(() => {
-            pauseUpdating = false;
+            state:        readState(state),
+            title:        state.title,
+            location:     state.location,
+            index:        state.index,
+            scroll:       state.scroll,
+            fromPopState: true,
         });
-
-        originalOnPopState(event);
     });
+    const unlistenToUnload = history.onBeforeUnload(onBeforeUnload);
 
-    window.onbeforeunload = (() => {
-        pauseUpdating = true;
+    return () => {
+        unlisten();
+        unlistenToUnload();
+    };
+}
 
-        originalUnload(arguments);
-    });
+/**
+ * Describe a committed navigation for router.current.
+ *
+ * @param  {Object} item     Committed navigation, {navigation, match} (or {navigation, error})
+ * @param  {String} title    Document title
+ * @param  {Object} previous Previously committed route, if any
+ * @return {Object}          {name, path, params, query, hash, location, state, title, previous}
+ */
+function describeCurrentRoute({navigation, match}, title, previous) {
+    const {route, path = null, params = {}, query = {}, hash = ''} = match || {};
+
+    return {
+        name: route ? route.name : null,
+        path,
+        params,
+        query,
+        hash,
+        location: navigation.location,
+        state: navigation.state,
+        title,
+        previous: previous ? omit(previous, 'previous') : null, // Only one step back, rather than the whole session
+    };
+}
+
+/**
+ * Position of a history entry written by the router.
+ *
+ * @param  {Object} state History state, from the history adapter
+ * @return {Number}       Index stored in the state, 0 for entries the router didn't write
+ */
+function getHistoryIndex(state) {
+    return (state && state.index) || 0;
 }
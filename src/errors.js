@@ -0,0 +1,88 @@
+/**
+ * Error codes handed to a router's onError handler, matching the `type` of the router's own errors.
+ */
+export const errorCodes = {
+    malformedUrl: 'baconjs-router.malformed-url',
+    handlerError: 'baconjs-router.handler-error',
+    loadError: 'baconjs-router.load-error',
+    invalidState: 'baconjs-router.invalid-state',
+    redirectLoop: 'baconjs-router.redirect-loop',
+};
+
+/**
+ * Error for a location whose path can't be URI decoded.
+ *
+ * @param  {String} url The malformed location
+ * @return {Object}     Error object {type, data, message}
+ */
+export function createMalformedUrlError(url) {
+    return {
+        type: errorCodes.malformedUrl,
+        data: {
+            url,
+        },
+        message: `Malformed URL: ${url}`,
+    };
+}
+
+/**
+ * Error for a route whose lazy handler failed to load.
+ *
+ * @param  {String} routeName Name of the route
+ * @param  {*}      error     Why the handler failed to load
+ * @return {Object}           Error object {type, data, message}
+ */
+export function createLoadError(routeName, error) {
+    return {
+        type: errorCodes.loadError,
+        data: {
+            route: routeName,
+            error,
+        },
+        message: `Unable to load the handler for route "${routeName}": ${error && error.message ? error.message : error}`,
+    };
+}
+
+/**
+ * Error for history state which can't be serialised or stored.
+ *
+ * @param  {String} reason What's wrong with the state
+ * @return {Object}        Error object {type, data, message}
+ */
+export function createInvalidStateError(reason) {
+    return {
+        type: errorCodes.invalidState,
+        data: {
+            reason,
+        },
+        message: `Invalid history state: ${reason}`,
+    };
+}
+
+/**
+ * Error for a navigation whose redirects lead back to a location they've already been through, or go on for too long.
+ *
+ * @param  {String[]} locations Locations redirected through, in order
+ * @return {Object}             Error object {type, data, message}
+ */
+export function createRedirectLoopError(locations) {
+    return {
+        type: errorCodes.redirectLoop,
+        data: {
+            locations,
+        },
+        message: `Redirect loop: ${locations.join(' -> ')}`,
+    };
+}
+
+/**
+ * Work out the error code for anything thrown while routing.
+ *
+ * @param  {*}      error Thrown error
+ * @return {String}       One of errorCodes
+ */
+export function getErrorCode(error) {
+    const isRouterError = !!error && Object.keys(errorCodes).some((key) => errorCodes[key] === error.type);
+
+    return isRouterError ? error.type : errorCodes.handlerError;
+}
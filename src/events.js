@@ -0,0 +1,69 @@
+/**
+ * Types of the events on router.events, in the order a navigation goes through them.
+ *
+ * - popState, the browser went back/forward (before that navigation starts),
+ * - navigationStart, a navigation came through the history bus and is being guarded,
+ * - routeMatched, the navigation made it through its guards and was committed to the history,
+ * - handlerResolved, the route's stream (or notFound's) emitted its first value,
+ * - navigationCancelled, a guard cancelled the navigation (reason 'guard') or a newer one replaced it ('superseded'),
+ * - navigationError, the location was malformed, a guard or lazy handler failed, or the route's stream emitted an error.
+ */
+export const eventTypes = {
+    popState: 'popState',
+    navigationStart: 'navigationStart',
+    routeMatched: 'routeMatched',
+    handlerResolved: 'handlerResolved',
+    navigationCancelled: 'navigationCancelled',
+    navigationError: 'navigationError',
+};
+
+/**
+ * Whether a navigation is a push, a replace or a back/forward navigation.
+ *
+ * @param  {Object} navigation Navigation from the history bus
+ * @return {String}            'push', 'replace' or 'pop'
+ */
+export function getNavigationType({fromPopState, shouldReplaceState}) {
+    if (fromPopState) {
+        return 'pop';
+    } else if (shouldReplaceState) {
+        return 'replace';
+    } else {
+        return 'push';
+    }
+}
+
+/**
+ * Start tracking a navigation for its events.
+ *
+ * @param  {Object}  navigation Navigation from the history bus
+ * @param  {Boolean} isInitial  Whether it's the router's first navigation, which replaces the entry it boots on
+ * @return {Object}             Navigation record, {location, name, navigationType, startedAt}
+ */
+export function startNavigationRecord(navigation, isInitial) {
+    return {
+        location: navigation.location,
+        name: null,
+        navigationType: isInitial ? 'replace' : getNavigationType(navigation),
+        startedAt: Date.now(),
+    };
+}
+
+/**
+ * Build an event for router.events.
+ *
+ * @param  {String} type    One of eventTypes
+ * @param  {Object} record  Navigation record, from startNavigationRecord
+ * @param  {Object} [extra] Anything else the event carries, e.g. {error} or {reason}
+ * @return {Object}         {type, location, name, navigationType, startedAt, elapsed, ...extra}
+ */
+export function createNavigationEvent(type, record, extra) {
+    return Object.assign({
+        type,
+        location: record.location,
+        name: record.name,
+        navigationType: record.navigationType,
+        startedAt: record.startedAt,
+        elapsed: Date.now() - record.startedAt,
+    }, extra);
+}
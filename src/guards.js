@@ -0,0 +1,97 @@
+import bacon from 'baconjs';
+
+import {getLevelKey} from './routes';
+
+/**
+ * Turn whatever a guard returned into a stream of its first value.
+ *
+ * @param  {*}          result Bacon Observable, Promise or plain value
+ * @return {Observable}        Stream of a single value
+ */
+export function toSingleValueStream(result) {
+    if (result instanceof bacon.Observable) {
+        return result.take(1);
+    } else if (result && typeof result.then === 'function') {
+        return bacon.fromPromise(result);
+    } else {
+        return bacon.once(result);
+    }
+}
+
+/**
+ * Run navigation guards in order, stopping at the first which doesn't allow the navigation.
+ *
+ * Guards are called with {to, from, navigation} and return (directly, via a Promise or a Bacon stream):
+ * - true or nothing to allow the navigation,
+ * - false to cancel it,
+ * - a location String, or {name, params, query, hash, state, title}, to redirect it.
+ *
+ * @param  {Function[]} guards  Guards to run
+ * @param  {Object}     context {to, from, navigation} handed to each guard
+ * @return {Observable}         Stream of a single decision, {type: 'allow'|'cancel'|'redirect', target}
+ */
+export function runGuards(guards, context) {
+    if (!guards.length) {
+        return bacon.once({type: 'allow'});
+    }
+
+    const [guard, ...remainingGuards] = guards;
+
+    let result;
+
+    try {
+        result = guard(context);
+    } catch (error) {
+        return bacon.once(new bacon.Error(error));
+    }
+
+    return toSingleValueStream(result)
+        .flatMap((outcome) => {
+            if (outcome === false) {
+                return bacon.once({type: 'cancel'});
+            } else if (typeof outcome === 'string' || (outcome && typeof outcome === 'object')) {
+                return bacon.once({type: 'redirect', target: outcome});
+            } else {
+                return runGuards(remainingGuards, context);
+            }
+        });
+}
+
+/**
+ * Guards to run navigating between two matches, the beforeLeave guards of the routes being left (innermost first),
+ * then the global guards, then the beforeEnter guards of the routes being entered (outermost first).
+ *
+ * @param  {Object}     from         Match being navigated from, if any
+ * @param  {Object}     to           Match being navigated to
+ * @param  {Function[]} globalGuards Router's beforeEach guards
+ * @return {Function[]}              Guards
+ */
+export function getNavigationGuards(from, to, globalGuards) {
+    return [
+        ...getChangedRoutes(from, to).reverse().map((route) => route.beforeLeave),
+        ...globalGuards,
+        ...getChangedRoutes(to, from).map((route) => route.beforeEnter),
+    ].filter(Boolean);
+}
+
+/**
+ * Routes in one match's chain which aren't active in another's, outermost first. The matched route
+ * itself always counts as changed, only parents (with the same params) are shared between matches.
+ *
+ * @param  {Object}   match      Match whose routes we're after
+ * @param  {Object}   otherMatch Match to compare against
+ * @return {Object[]}            Route definitions
+ */
+function getChangedRoutes(match, otherMatch) {
+    if (!match || !match.chain) {
+        return [];
+    }
+
+    const otherParentKeys = otherMatch && otherMatch.chain
+        ? otherMatch.chain.slice(0, -1).map(getLevelKey)
+        : [];
+
+    return match.chain
+        .filter((level, index) => index === match.chain.length - 1 || otherParentKeys.indexOf(getLevelKey(level)) === -1)
+        .map(({route}) => route);
+}
@@ -0,0 +1,179 @@
+import isPlainObject from 'lodash/isPlainObject';
+
+// Keys a head can have, see resolveHead.
+const HEAD_KEYS = ['title', 'description', 'canonical', 'lang', 'og', 'meta'];
+
+// Attribute marking the tags the router manages, so it can take them over from the server render and remove stale ones.
+const MANAGED_ATTRIBUTE = 'data-router-head';
+
+/**
+ * Check a head, a route's or the router's default one, is a function or only has keys we know how to apply.
+ *
+ * @param  {String}          label Whose head it is, for the error message, 'Router' or e.g. 'Route "user"'
+ * @param  {Object|Function} head  Head, or a function returning one
+ * @return {Object|Function}       The head
+ */
+export function validateHead(label, head) {
+    if (typeof head === 'function') {
+        return head;
+    }
+
+    if (!isPlainObject(head)) {
+        throw new Error(`baconRouter: ${label} expects its head to be an object or a function returning one, got ${typeof head}`);
+    }
+
+    Object.keys(head).forEach((key) => {
+        if (HEAD_KEYS.indexOf(key) === -1) {
+            throw new Error(`baconRouter: ${label} has an unknown head key "${key}". Expected one of ${HEAD_KEYS.join(', ')}`);
+        }
+    });
+
+    ['og', 'meta'].forEach((key) => {
+        if (head[key] !== undefined && !isPlainObject(head[key])) {
+            throw new Error(`baconRouter: ${label} expects its head's ${key} to be an object, keyed by name`);
+        }
+    });
+
+    return head;
+}
+
+/**
+ * Resolve the head for a routed value, merging the router's default head with the head of each route in the
+ * match's chain, outermost first.
+ *
+ * Heads look like
+ * {
+ *     title: 'Richmond v Carlton',
+ *     description: 'Live scores and stats',
+ *     canonical: 'https://www.foxsports.com.au/afl/match/123',
+ *     lang: 'en-AU',
+ *     og: {title: 'Richmond v Carlton', image: 'https://...'}, (Open Graph properties, without the 'og:' prefix)
+ *     meta: {robots: 'noindex'}, (any other meta tags, by name)
+ * }
+ *
+ * Functions in place of a head are called with the routed value and {location, name, params, query, hash}.
+ * A head function that throws is warned about and skipped, so the rest of the head still applies.
+ *
+ * @param  {Object}          match         Match the value was routed for, from matchLocation (without a route when nothing matched)
+ * @param  {*}               value         Routed value
+ * @param  {Object|Function} [defaultHead] Router's default head, or a function returning one
+ * @return {Object}                        Resolved head
+ */
+export function resolveHead(match, value, defaultHead) {
+    const {location = null, route = null, chain = [], params = {}, query = {}, hash = ''} = match || {};
+    const context = {location, name: route ? route.name : null, params, query, hash};
+    const heads = [{label: 'Router', head: defaultHead}]
+        .concat(chain.map((level) => ({label: `Route "${level.route.name}"`, head: level.route.head})))
+        .filter(({head}) => head !== undefined);
+
+    return heads.reduce((resolvedHead, {label, head}) => {
+        let routeHead;
+
+        try {
+            routeHead = typeof head === 'function' ? validateHead(label, head(value, context) || {}) : head;
+        } catch (error) {
+            console.warn(`baconRouter: ${label}'s head was skipped. ${String(error.message).replace(/^baconRouter: /, '')}`);
+
+            return resolvedHead;
+        }
+
+        return Object.assign(resolvedHead, routeHead, {
+            og: Object.assign({}, resolvedHead.og, routeHead.og),
+            meta: Object.assign({}, resolvedHead.meta, routeHead.meta),
+        });
+    }, {og: {}, meta: {}});
+}
+
+/**
+ * Render a head to HTML, for the server render's <head>. The lang belongs on the <html> element, so isn't rendered.
+ *
+ * Tags are marked as the router's, so the router can take them over once the page is running in the browser.
+ *
+ * @param  {Object} head Resolved head, from resolveHead
+ * @return {String}      HTML
+ */
+export function renderHead(head) {
+    const title = isSet(head.title) ? [`<title>${escapeHtml(head.title)}</title>`] : [];
+
+    return title
+        .concat(getHeadTags(head).map(({tagName, attributes}) => {
+            const renderedAttributes = Object.keys(attributes)
+                .map((name) => ` ${name}="${escapeHtml(attributes[name])}"`)
+                .join('');
+
+            return `<${tagName}${renderedAttributes} ${MANAGED_ATTRIBUTE}>`;
+        }))
+        .join('\n');
+}
+
+/**
+ * Apply a head to a document, other than its title (which the history adapter sets).
+ *
+ * Tags already in the document (the server render's, or ones in the page itself) are updated in place, and the router's
+ * tags the head no longer has are removed. Without a lang the <html> element's lang is left alone.
+ *
+ * @param  {Document}  document Document to apply the head to
+ * @param  {Object}    head     Resolved head, from resolveHead
+ * @return {undefined}
+ */
+export function applyHead(document, head) {
+    if (isSet(head.lang)) {
+        document.documentElement.setAttribute('lang', head.lang);
+    }
+
+    const appliedElements = getHeadTags(head).map(({tagName, key, attributes}) => {
+        const selector = `${tagName}[${key}="${String(attributes[key]).replace(/["\\]/g, '\\$&')}"]`;
+        const element = document.head.querySelector(selector) || document.head.appendChild(document.createElement(tagName));
+
+        Object.keys(attributes).forEach((name) => element.setAttribute(name, attributes[name]));
+        element.setAttribute(MANAGED_ATTRIBUTE, '');
+
+        return element;
+    });
+
+    Array.prototype.slice.call(document.head.querySelectorAll(`[${MANAGED_ATTRIBUTE}]`))
+        .filter((element) => appliedElements.indexOf(element) === -1)
+        .forEach((element) => element.parentNode.removeChild(element));
+}
+
+/**
+ * Tags for a head, other than its title, in the order they're rendered.
+ *
+ * @param  {Object}   head Resolved head
+ * @return {Object[]}      [{tagName, key, attributes}], key being the attribute identifying the tag
+ */
+function getHeadTags({description, canonical, og = {}, meta = {}}) {
+    const metaTags = Object.assign({description}, meta);
+
+    return [].concat(
+        isSet(canonical) ? {tagName: 'link', key: 'rel', attributes: {rel: 'canonical', href: String(canonical)}} : [],
+        Object.keys(metaTags)
+            .filter((name) => isSet(metaTags[name]))
+            .map((name) => ({tagName: 'meta', key: 'name', attributes: {name, content: String(metaTags[name])}})),
+        Object.keys(og)
+            .filter((name) => isSet(og[name]))
+            .map((name) => ({tagName: 'meta', key: 'property', attributes: {property: `og:${name}`, content: String(og[name])}}))
+    );
+}
+
+/**
+ * Whether a head value is set, rather than left out.
+ *
+ * @param  {*}       value Head value
+ * @return {Boolean}       True unless undefined or null
+ */
+function isSet(value) {
+    return value !== undefined && value !== null;
+}
+
+/**
+ * Escape text for HTML, in an element or a double quoted attribute.
+ *
+ * @param  {*}      value Text
+ * @return {String}       Escaped text
+ */
+function escapeHtml(value) {
+    const entities = {'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;'};
+
+    return String(value).replace(/[&<>"']/g, (character) => entities[character]);
+}
@@ -0,0 +1,199 @@
+import noop from 'lodash/noop';
+
+import {applyHead} from './head';
+
+/**
+ * History adapters are how a router reads and writes the location, document title and history entries.
+ * Each one looks like
+ * {
+ *     getLocation: () => location,
+ *     getState: () => state of the current entry,
+ *     getTitle: () => title,
+ *     setTitle: (title) => {},
+ *     setHead: (head) => {}, (optional, applies the rest of a route's head, see src/head.js)
+ *     push: (state, title, location) => {},
+ *     replace: (state, title, [location]) => {}, (without a location the current one is kept)
+ *     go: (delta) => {},
+ *     listen: (({state, location}) => {}) => unlisten, (for back/forward navigations)
+ *     onBeforeUnload: (() => {}) => unlisten,
+ * }
+ */
+
+/**
+ * Whether we're running in a browser (or a bundle for one), rather than under Node.
+ *
+ * @return {Boolean} True in the browser
+ */
+export function isBrowser() {
+    return typeof process !== 'undefined' && !!process.browser;
+}
+
+/**
+ * History adapter for wherever we're running, the browser's pushState history or an in-memory one under Node.
+ *
+ * @return {Object} History adapter
+ */
+export function createDefaultHistory() {
+    return isBrowser() ? createBrowserHistory() : createMemoryHistory();
+}
+
+/**
+ * History adapter for the browser's pushState history, where locations are full URLs.
+ *
+ * Back/forward navigations to entries the router didn't write reload the page at the new location.
+ *
+ * @return {Object} History adapter
+ */
+export function createBrowserHistory() {
+    return {
+        getLocation: () => window.location.href,
+        getState: () => window.history.state,
+        getTitle: () => window.document.title,
+        setTitle: (title) => {
+            window.document.title = title;
+        },
+        setHead: (head) => applyHead(window.document, head),
+        push: (state, title, location) => window.history.pushState(state, title, location),
+        replace: (state, title, location) => (
+            location === undefined
+                ? window.history.replaceState(state, title)
+                : window.history.replaceState(state, title, location)
+        ),
+        go: (delta) => window.history.go(delta),
+        listen: (callback) => {
+            const onPopState = (event) => {
+                // If a navigation attempt occurs other than via historyBus, reload the page at the new location.
+                if (!event.state) {
+                    event.target.location.reload();
+
+                    return;
+                }
+
+                callback({state: event.state, location: window.location.href});
+            };
+
+            window.addEventListener('popstate', onPopState);
+
+            return () => window.removeEventListener('popstate', onPopState);
+        },
+        onBeforeUnload: listenToWindow('beforeunload'),
+    };
+}
+
+/**
+ * History adapter keeping locations in the URL hash, e.g. `/user/1234` as `page.html#/user/1234`.
+ *
+ * Entries are still written with pushState, but changes are heard through `hashchange`, so editing the hash by
+ * hand navigates (with a null state) rather than reloading the page.
+ *
+ * @return {Object} History adapter
+ */
+export function createHashHistory() {
+    const getLocation = () => window.location.hash.replace(/^#/, '');
+
+    return {
+        getLocation,
+        getState: () => window.history.state,
+        getTitle: () => window.document.title,
+        setTitle: (title) => {
+            window.document.title = title;
+        },
+        setHead: (head) => applyHead(window.document, head),
+        push: (state, title, location) => window.history.pushState(state, title, `#${location}`),
+        replace: (state, title, location) => (
+            location === undefined
+                ? window.history.replaceState(state, title)
+                : window.history.replaceState(state, title, `#${location}`)
+        ),
+        go: (delta) => window.history.go(delta),
+        listen: (callback) => {
+            const onHashChange = () => {
+                const location = getLocation();
+                const {state} = window.history;
+
+                callback({state: state && state.location === location ? state : null, location});
+            };
+
+            window.addEventListener('hashchange', onHashChange);
+
+            return () => window.removeEventListener('hashchange', onHashChange);
+        },
+        onBeforeUnload: listenToWindow('beforeunload'),
+    };
+}
+
+/**
+ * History adapter keeping its entries in memory, for Node and tests.
+ *
+ * Along with the adapter functions it has back, forward, getEntries/getIndex to inspect the entries and getHead
+ * for the last head it was handed.
+ * Listeners hear about go/back/forward straight away, rather than on a later tick like the browser.
+ *
+ * @param  {Object} [options]                     Options
+ * @param  {String} [options.initialLocation='/'] Location of the first entry
+ * @return {Object}                               History adapter
+ */
+export function createMemoryHistory({initialLocation = '/'} = {}) {
+    let entries = [{state: null, title: '', location: initialLocation}];
+    let index = 0;
+    let listeners = [];
+    let head = null;
+
+    const go = (delta) => {
+        const nextIndex = index + delta;
+
+        if (!delta || nextIndex < 0 || nextIndex >= entries.length) {
+            return;
+        }
+
+        index = nextIndex;
+        listeners.forEach((listener) => listener({state: entries[index].state, location: entries[index].location}));
+    };
+
+    return {
+        getLocation: () => entries[index].location,
+        getState: () => entries[index].state,
+        getTitle: () => entries[index].title,
+        setTitle: (title) => {
+            entries[index].title = title;
+        },
+        setHead: (nextHead) => {
+            head = nextHead;
+        },
+        push: (state, title, location) => {
+            entries = entries.slice(0, index + 1).concat({state, title, location});
+            index = entries.length - 1;
+        },
+        replace: (state, title, location = entries[index].location) => {
+            entries[index] = {state, title, location};
+        },
+        go,
+        back: () => go(-1),
+        forward: () => go(1),
+        listen: (callback) => {
+            listeners = listeners.concat(callback);
+
+            return () => {
+                listeners = listeners.filter((listener) => listener !== callback);
+            };
+        },
+        onBeforeUnload: () => noop,
+        getEntries: () => entries.slice(),
+        getIndex: () => index,
+        getHead: () => head,
+    };
+}
+
+/**
+ * Build a function listening to a window event, returning a function to stop listening again.
+ *
+ * @param  {String}   eventName Window event
+ * @return {Function}           (callback) => unlisten
+ */
+function listenToWindow(eventName) {
+    return (callback) => {
+        window.addEventListener(eventName, callback);
+
+        return () => window.removeEventListener(eventName, callback);
+    };
+}
@@ -0,0 +1,93 @@
+import {createLoadError} from './errors';
+
+// Loaded handlers, and loads in flight, of routes with a lazy handler. Shared by every router using the route.
+const loadedHandlers = new WeakMap();
+const pendingLoads = new WeakMap();
+const loadingValues = new WeakSet();
+
+/**
+ * Handler of a route, if it's ready to be called.
+ *
+ * Routes can carry a `lazy` function in place of their handler, returning a Promise of a module whose default export
+ * (or the module itself) is the handler, e.g. `lazy: () => import('./pages/user')`.
+ *
+ * @param  {Object}   route Route definition
+ * @return {Function}       The route's handler, or undefined while a lazy handler hasn't loaded
+ */
+export function getLoadedHandler(route) {
+    return route.lazy ? loadedHandlers.get(route) : route.handler;
+}
+
+/**
+ * Load a route's lazy handler, once. Failed loads can be retried.
+ *
+ * @param  {Object}  route Route definition
+ * @return {Promise}       Resolves with the handler, rejects with a load error, see src/errors.js
+ */
+export function loadHandler(route) {
+    const handler = getLoadedHandler(route);
+
+    if (handler) {
+        return Promise.resolve(handler);
+    }
+
+    if (!pendingLoads.has(route)) {
+        const pendingLoad = Promise.resolve()
+            .then(() => route.lazy())
+            .then((module) => {
+                const loadedHandler = module && typeof module.default === 'function' ? module.default : module;
+
+                if (typeof loadedHandler !== 'function') {
+                    throw new Error(`Route "${route.name}" lazily loaded a ${typeof loadedHandler}, expected a handler function`);
+                }
+
+                loadedHandlers.set(route, loadedHandler);
+                pendingLoads.delete(route);
+
+                return loadedHandler;
+            })
+            .catch((error) => {
+                pendingLoads.delete(route);
+
+                throw createLoadError(route.name, error);
+            });
+
+        pendingLoads.set(route, pendingLoad);
+    }
+
+    return pendingLoads.get(route);
+}
+
+/**
+ * Load the lazy handlers of routes ahead of navigating to them.
+ *
+ * @param  {Object[]} routes Route definitions
+ * @return {Promise}         Resolves once every handler has loaded
+ */
+export function preloadHandlers(routes) {
+    return Promise.all(routes.filter((route) => route.lazy).map(loadHandler));
+}
+
+/**
+ * Value emitted in place of a route's handler stream while its lazy handler loads.
+ *
+ * @param  {Object} route Route definition
+ * @return {Object}       {status: 'loading', route}
+ */
+export function createLoadingValue(route) {
+    const value = {status: 'loading', route};
+
+    loadingValues.add(value);
+
+    return value;
+}
+
+/**
+ * Whether a routed value is only standing in for a route while its lazy handler loads.
+ *
+ * @param  {*}       value Routed value
+ * @return {Boolean}       True for loading values
+ */
+export function isLoadingValue(value) {
+    return !!value && typeof value === 'object' && loadingValues.has(value);
+}
@@ -0,0 +1,147 @@
+import bacon from 'baconjs';
+import noop from 'lodash/noop';
+
+/**
+ * Intercept clicks on same-origin links within a root element, pushing them onto a history bus
+ * rather than letting the browser load the page.
+ *
+ * Clicks are left alone with modifier keys held, for anything but the main button, for links with a target
+ * (other than _self) or a download attribute, and for links to other origins or outside the baseUrl.
+ * Links with a `data-router-replace` attribute replace the current history entry.
+ *
+ * Given a preload function (e.g. router.preloadLocation), it's called with a link's location as the link is hovered
+ * or focused, to load lazy route handlers ahead of the click.
+ *
+ * @param  {Element}    root                 Element to listen for clicks within, e.g. document.body
+ * @param  {Object}     options              Options
+ * @param  {Bus}        options.historyBus   Bus to push {location, title, shouldReplaceState} onto, e.g. router.historyBus
+ * @param  {String}     [options.baseUrl=''] Router's Base Path, only links within it are intercepted
+ * @param  {Function}   [options.getTitle]   Called with the anchor for the navigation's title
+ * @param  {Function}   [options.preload]    Called with the location of links being hovered or focused
+ * @return {Observable}                      EventStream of intercepted navigations, {location, title, shouldReplaceState, anchor},
+ *                                           along with dispose to stop intercepting
+ */
+export function interceptLinks(root, {historyBus, baseUrl = '', getTitle = () => undefined, preload} = {}) {
+    if (!historyBus) {
+        throw new Error('baconRouter: interceptLinks expects a historyBus to push navigations onto');
+    }
+
+    const navigations = new bacon.Bus();
+    const resolvedBaseUrl = baseUrl ? resolveUrl(baseUrl) : window.location.origin;
+
+    // Resolving a bare origin adds a trailing slash, which belongs to the links' paths rather than the baseUrl.
+    const absoluteBaseUrl = /\/$/.test(baseUrl) ? resolvedBaseUrl : resolvedBaseUrl.replace(/\/$/, '');
+
+    const findRoutableAnchor = (target) => {
+        const anchor = findAnchor(target, root);
+
+        return anchor && isRoutableAnchor(anchor) && isWithinBaseUrl(anchor.href, absoluteBaseUrl) ? anchor : null;
+    };
+    const getLocation = (anchor) => baseUrl + anchor.href.slice(absoluteBaseUrl.length);
+
+    const onClick = (event) => {
+        if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+            return;
+        }
+
+        const anchor = findRoutableAnchor(event.target);
+
+        if (!anchor) {
+            return;
+        }
+
+        event.preventDefault();
+
+        const navigation = {
+            location: getLocation(anchor),
+            title: getTitle(anchor),
+            shouldReplaceState: anchor.hasAttribute('data-router-replace'),
+        };
+
+        historyBus.push(navigation);
+        navigations.push(Object.assign({anchor}, navigation));
+    };
+
+    const onHover = (event) => {
+        const anchor = findRoutableAnchor(event.target);
+
+        if (anchor) {
+            // Failed loads surface again when the link is clicked.
+            Promise.resolve(preload(getLocation(anchor))).catch(noop);
+        }
+    };
+
+    root.addEventListener('click', onClick);
+
+    if (preload) {
+        root.addEventListener('mouseover', onHover);
+        root.addEventListener('focusin', onHover);
+    }
+
+    return Object.assign(navigations, {
+        dispose: () => {
+            root.removeEventListener('click', onClick);
+            root.removeEventListener('mouseover', onHover);
+            root.removeEventListener('focusin', onHover);
+            navigations.end();
+        },
+    });
+}
+
+/**
+ * Closest anchor (with an href) to a click's target, stopping at the root.
+ *
+ * @param  {Node}    node Click target
+ * @param  {Element} root Element clicks are being listened to within
+ * @return {Element}      Anchor, or null
+ */
+function findAnchor(node, root) {
+    for (let current = node; current && current !== root.parentNode; current = current.parentNode) {
+        if (current.nodeName === 'A' && current.hasAttribute('href')) {
+            return current;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Whether an anchor should be left to the router, rather than the browser.
+ *
+ * @param  {Element} anchor Anchor
+ * @return {Boolean}        True for same-origin links opening in this window
+ */
+function isRoutableAnchor(anchor) {
+    const target = anchor.getAttribute('target');
+
+    return (!target || target === '_self')
+        && !anchor.hasAttribute('download')
+        && anchor.protocol === window.location.protocol
+        && anchor.host === window.location.host;
+}
+
+/**
+ * Whether a URL sits within the baseUrl, so `/app` holds `/app/user` but not `/application`.
+ *
+ * @param  {String}  url             Absolute URL
+ * @param  {String}  absoluteBaseUrl Absolute Base Path
+ * @return {Boolean}                 True within the baseUrl
+ */
+function isWithinBaseUrl(url, absoluteBaseUrl) {
+    return url.indexOf(absoluteBaseUrl) === 0
+        && (/[/?#]$/.test(absoluteBaseUrl) || /^([/?#]|$)/.test(url.slice(absoluteBaseUrl.length)));
+}
+
+/**
+ * Resolve a (possibly relative) URL against the current document.
+ *
+ * @param  {String} url URL
+ * @return {String}     Absolute URL
+ */
+function resolveUrl(url) {
+    const anchor = window.document.createElement('a');
+
+    anchor.href = url;
+
+    return anchor.href;
+}
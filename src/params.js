@@ -0,0 +1,148 @@
+// Param types written as `:name(type)` in String route paths, e.g. `/user/:id(int)`.
+const TYPED_PARAM = /:(\w+)\((\w+)\)/g;
+
+/**
+ * Param types every router knows about.
+ *
+ * Each one looks like
+ * {
+ *     pattern: String, (regular expression source for the param's part of the path, without any capture groups)
+ *     validate: (value) => Boolean, (optional, the decoded value failing it lets the path fall through to the next route)
+ *     parse: (value) => *, (optional, the value handlers see in params)
+ *     format: (value) => String, (optional, turns params back into a path when building locations)
+ * }
+ */
+export const defaultParamTypes = {
+    int: {
+        pattern: '-?\\d+',
+        validate: (value) => Number.isSafeInteger(Number(value)),
+        parse: (value) => Number(value),
+        format: (value) => String(value),
+    },
+    slug: {
+        pattern: '[a-z0-9-]+',
+        validate: (value) => /^[a-z0-9]+(-[a-z0-9]+)*$/.test(value),
+    },
+    isoDate: {
+        pattern: '\\d{4}-\\d{2}-\\d{2}',
+        validate: (value) => {
+            const date = parseIsoDate(value);
+
+            return !isNaN(date) && formatIsoDate(date) === value; // Rules out days past the end of the month
+        },
+        parse: parseIsoDate,
+        format: (value) => (value instanceof Date ? formatIsoDate(value) : value),
+    },
+};
+
+/**
+ * Validate a router's custom param types.
+ *
+ * @param  {Object}    paramTypes Param types, keyed by name
+ * @return {undefined}
+ */
+export function validateParamTypes(paramTypes) {
+    Object.keys(paramTypes).forEach((name) => {
+        const paramType = paramTypes[name];
+
+        if (!/^\w+$/.test(name)) {
+            throw new Error(`baconRouter: Param type "${name}" should be named with letters, digits and underscores`);
+        }
+
+        if (!paramType || typeof paramType.pattern !== 'string' || /[()]/.test(paramType.pattern)) {
+            throw new Error(`baconRouter: Param type "${name}" expects a String pattern, without any groups`);
+        }
+
+        ['validate', 'parse', 'format'].forEach((key) => {
+            if (paramType[key] !== undefined && typeof paramType[key] !== 'function') {
+                throw new Error(`baconRouter: Param type "${name}" expects ${key} to be a function, got ${typeof paramType[key]}`);
+            }
+        });
+    });
+}
+
+/**
+ * Swap the param types in a path for their patterns, leaving anything else to path-to-regexp.
+ *
+ * @param  {String} path       Path, e.g. '/user/:id(int)'
+ * @param  {Object} paramTypes Param types, keyed by name
+ * @return {Object}            {path, types}, the path for path-to-regexp (e.g. '/user/:id(-?\\d+)') and param types by param name
+ */
+export function expandParamTypes(path, paramTypes) {
+    const types = {};
+    const expandedPath = path.replace(TYPED_PARAM, (typedParam, name, typeName) => {
+        if (!Object.prototype.hasOwnProperty.call(paramTypes, typeName)) {
+            return typedParam; // Plain path-to-regexp pattern, e.g. :lang(en)
+        }
+
+        types[name] = paramTypes[typeName];
+
+        return `:${name}(${paramTypes[typeName].pattern})`;
+    });
+
+    return {path: expandedPath, types};
+}
+
+/**
+ * Validate and parse matched params against their types.
+ *
+ * @param  {Object} params Decoded params, keyed by name
+ * @param  {Object} types  Param types, keyed by param name
+ * @return {Object}        Parsed params, or null when a param isn't valid for its type
+ */
+export function parseParams(params, types) {
+    return Object.keys(params).reduce((parsedParams, name) => {
+        const value = params[name];
+        const type = types[name];
+
+        if (!parsedParams || !type || value === undefined) {
+            return parsedParams;
+        }
+
+        if (type.validate && !type.validate(value)) {
+            return null;
+        }
+
+        return Object.assign(parsedParams, {[name]: type.parse ? type.parse(value) : value});
+    }, Object.assign({}, params));
+}
+
+/**
+ * Format params back into strings for their types, for building paths.
+ *
+ * @param  {Object} params Params, keyed by name
+ * @param  {Object} types  Param types, keyed by param name
+ * @return {Object}        Formatted params
+ */
+export function formatParams(params, types) {
+    return Object.keys(params).reduce((formattedParams, name) => {
+        const value = params[name];
+        const type = types[name];
+
+        return Object.assign(formattedParams, {
+            [name]: type && type.format && value !== undefined && value !== null ? type.format(value) : value,
+        });
+    }, {});
+}
+
+/**
+ * Parse a YYYY-MM-DD date, as midnight UTC.
+ *
+ * @param  {String} value Date
+ * @return {Date}         Date, invalid for anything else
+ */
+function parseIsoDate(value) {
+    const [year, month, day] = value.split('-').map(Number);
+
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Format a date as YYYY-MM-DD, in UTC.
+ *
+ * @param  {Date}   date Date
+ * @return {String}      Date
+ */
+function formatIsoDate(date) {
+    return date.toISOString().slice(0, 10);
+}
@@ -0,0 +1,215 @@
+import isPlainObject from 'lodash/isPlainObject';
+
+const {hasOwnProperty} = Object.prototype;
+
+// Keys which would let a query string reach into Object.prototype.
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Coercers for the types allowed in a route's querySchema.
+ *
+ * Scalar types take the last value of repeated keys, and drop values they can't make sense of.
+ */
+const queryCoercers = {
+    string: (value) => last(value),
+    number: (value) => {
+        const scalar = last(value);
+        const number = typeof scalar === 'string' && scalar.trim() ? Number(scalar) : NaN;
+
+        return isNaN(number) ? undefined : number;
+    },
+    boolean: (value) => {
+        const scalar = last(value);
+
+        if (scalar === '' || scalar === 'true' || scalar === '1') { // A key without a value is a flag
+            return true;
+        } else if (scalar === 'false' || scalar === '0') {
+            return false;
+        } else {
+            return undefined;
+        }
+    },
+    array: (value) => [].concat(value),
+};
+
+/**
+ * Default query codec, used by routers without a queryCodec of their own.
+ *
+ * Custom codecs need the same shape, a parse and a stringify function.
+ */
+export const defaultQueryCodec = {
+    parse: parseQuery,
+    stringify: stringifyQuery,
+};
+
+/**
+ * Serialise a query object into a query string (without the leading `?`).
+ *
+ * Keys with `undefined` or `null` values are skipped, arrays become repeated keys, nested objects use
+ * `a[b]=c` notation and empty strings become keys without values.
+ *
+ * @param  {Object} query Query values, keyed by name
+ * @return {String}       Encoded query string, e.g. 'detailed=false&tag=a&tag=b'
+ */
+export function stringifyQuery(query = {}) {
+    return Object.keys(query)
+        .reduce((pairs, key) => pairs.concat(toQueryPairs(key, query[key])), [])
+        .map(([key, value]) => {
+            const encodedKey = encodeURIComponent(key).replace(/%5B/g, '[').replace(/%5D/g, ']');
+
+            return value === '' ? encodedKey : `${encodedKey}=${encodeURIComponent(value)}`;
+        })
+        .join('&');
+}
+
+/**
+ * Parse a query string (without the leading `?`) into an object.
+ *
+ * Repeated keys (or `key[]`) collect into arrays, `+` decodes to a space, keys without values are empty
+ * strings and `a[b]=c` builds nested objects. Malformed pairs are ignored.
+ *
+ * @param  {String} search Query string, e.g. 'detailed=false&tag=a&tag=b'
+ * @return {Object}        Decoded query values, keyed by name
+ */
+export function parseQuery(search = '') {
+    return search
+        .split('&')
+        .reduce((acc, pair) => {
+            if (!pair) {
+                return acc;
+            }
+
+            const separatorIndex = pair.indexOf('=');
+            const rawKey = separatorIndex === -1 ? pair : pair.slice(0, separatorIndex);
+            const rawValue = separatorIndex === -1 ? '' : pair.slice(separatorIndex + 1);
+
+            let key, value;
+
+            try {
+                key = decodeQueryComponent(rawKey);
+                value = decodeQueryComponent(rawValue);
+            } catch (error) {
+                // Ignore malformed query param
+                return acc;
+            }
+
+            return key ? setQueryValue(acc, parseKeyPath(key), value) : acc;
+        }, {});
+}
+
+/**
+ * Coerce parsed query values according to a route's query schema.
+ *
+ * @param  {Object} query  Parsed query values
+ * @param  {Object} schema Types keyed by query name, 'string', 'number', 'boolean', 'array' or a coercing function
+ * @return {Object}        Query values, coerced where the schema names them
+ */
+export function applyQuerySchema(query, schema) {
+    return Object.keys(schema)
+        .filter((key) => query[key] !== undefined)
+        .reduce((acc, key) => {
+            const type = schema[key];
+            const coerce = typeof type === 'function' ? type : queryCoercers[type];
+
+            return Object.assign(acc, {[key]: coerce(query[key])});
+        }, Object.assign({}, query));
+}
+
+/**
+ * Check a route's query schema only names types we know how to coerce.
+ *
+ * @param  {String} name   Route name, for the error message
+ * @param  {Object} schema Types keyed by query name
+ * @return {Object}        The schema
+ */
+export function validateQuerySchema(name, schema) {
+    Object.keys(schema).forEach((key) => {
+        const type = schema[key];
+
+        if (typeof type !== 'function' && !hasOwnProperty.call(queryCoercers, type)) {
+            throw new Error(
+                `baconRouter: Route "${name}" has an unknown query type "${type}" for "${key}". `
+                + `Expected a function or one of ${Object.keys(queryCoercers).join(', ')}`
+            );
+        }
+    });
+
+    return schema;
+}
+
+/**
+ * Flatten a query value into [key, value] pairs, arrays as repeated keys and objects in `a[b]` notation.
+ *
+ * @param  {String} key   Query key
+ * @param  {*}      value Query value
+ * @return {Array[]}      [[key, value]]
+ */
+function toQueryPairs(key, value) {
+    if (value === undefined || value === null) {
+        return [];
+    } else if (Array.isArray(value)) {
+        return value.reduce((pairs, item) => pairs.concat(toQueryPairs(key, item)), []);
+    } else if (isPlainObject(value)) {
+        return Object.keys(value).reduce((pairs, childKey) => pairs.concat(toQueryPairs(`${key}[${childKey}]`, value[childKey])), []);
+    } else {
+        return [[key, String(value)]];
+    }
+}
+
+/**
+ * Decode part of a query string, where `+` stands for a space.
+ *
+ * @param  {String} component Encoded key or value
+ * @return {String}           Decoded key or value
+ */
+function decodeQueryComponent(component) {
+    return decodeURIComponent(component.replace(/\+/g, ' '));
+}
+
+/**
+ * Split a query key in `a[b][]` notation into its path, ['a', 'b', ''].
+ *
+ * @param  {String}   key Decoded query key
+ * @return {String[]}     Key path, with '' to append to an array
+ */
+function parseKeyPath(key) {
+    const [, base, brackets] = /^([^[\]]+)((?:\[[^[\]]*\])*)$/.exec(key) || [null, key, ''];
+
+    return [base].concat((brackets.match(/\[[^[\]]*\]/g) || []).map((bracket) => bracket.slice(1, -1)));
+}
+
+/**
+ * Set a value at a key path within the parsed query, collecting repeated keys into arrays.
+ *
+ * @param  {Object}   target  Parsed query (or a nested object within it)
+ * @param  {String[]} keyPath Key path, from parseKeyPath
+ * @param  {String}   value   Decoded value
+ * @return {Object}           The target
+ */
+function setQueryValue(target, keyPath, value) {
+    const [key, ...remainingPath] = keyPath;
+
+    if (UNSAFE_KEYS.indexOf(key) !== -1) {
+        return target;
+    }
+
+    if (!remainingPath.length) {
+        return Object.assign(target, {[key]: hasOwnProperty.call(target, key) ? [].concat(target[key], value) : value});
+    } else if (remainingPath.length === 1 && remainingPath[0] === '') {
+        return Object.assign(target, {[key]: [].concat(hasOwnProperty.call(target, key) ? target[key] : [], value)});
+    } else {
+        const child = isPlainObject(target[key]) ? target[key] : {};
+
+        return Object.assign(target, {[key]: setQueryValue(child, remainingPath, value)});
+    }
+}
+
+/**
+ * Last of a value's repeated values.
+ *
+ * @param  {String|String[]} value Query value
+ * @return {String}                Last value
+ */
+function last(value) {
+    return Array.isArray(value) ? value[value.length - 1] : value;
+}
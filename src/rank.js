@@ -0,0 +1,157 @@
+import pathToRegexp from 'path-to-regexp';
+
+// Segment scores, most specific first. Optional segments score one less.
+const STATIC_SEGMENT = 8;
+const PATTERN_PARAM_SEGMENT = 6; // :id(\d+)
+const PARAM_SEGMENT = 4; // :id
+const WILDCARD_SEGMENT = 2; // :path*, :path+, (.*)
+
+/**
+ * Score a String path by its segments, for ranking routes by specificity.
+ *
+ * Wildcards which can match nothing, e.g. `/(.*)` matching `/`, count as optional, so an exact match (even the root's
+ * empty path) outranks them.
+ *
+ * @param  {String}   path Full path of a route, path-to-regexp style
+ * @return {Object[]}      Segments, [{score, optional, wildcard, signature}], where the signature identifies what the
+ *                         segment matches
+ */
+export function getPathSegments(path) {
+    return pathToRegexp.parse(path).reduce((segments, token) => {
+        if (typeof token === 'string') {
+            return segments.concat(
+                token
+                    .split('/')
+                    .filter(Boolean)
+                    .map((text) => ({score: STATIC_SEGMENT, optional: false, wildcard: false, signature: `/${text}`}))
+            );
+        }
+
+        const {prefix, optional, repeat, pattern} = token;
+        const isWildcard = repeat || /^\.[*+]$/.test(pattern);
+        const hasOwnPattern = !/^\[\^.*\]\+\?$/.test(pattern);
+
+        let score;
+
+        if (isWildcard) {
+            score = WILDCARD_SEGMENT;
+        } else if (hasOwnPattern) {
+            score = PATTERN_PARAM_SEGMENT;
+        } else {
+            score = PARAM_SEGMENT;
+        }
+
+        return segments.concat({
+            score: optional ? score - 1 : score,
+            optional: optional || (isWildcard && /^\.\*$/.test(pattern)),
+            wildcard: isWildcard,
+            signature: `${prefix}(${pattern})${optional ? '?' : ''}${repeat ? '*' : ''}`,
+        });
+    }, []);
+}
+
+/**
+ * Order compiled routes by specificity rather than by their place in the route table.
+ *
+ * Segments are compared left to right, static segments beating params and params beating wildcards,
+ * then longer paths beat shorter ones (unless the longer path's extra segments are optional, then the shorter path is
+ * the exact match). Routes ranking the same keep their listed order.
+ * RegExp routes can't be scored, so they're tried after every String route, in their listed order.
+ *
+ * Routes which can never match (another route ahead of them matches the same paths, or a String catch-all like `/(.*)`
+ * is ahead of a RegExp route) or which rank the same as another route they may overlap with are reported through warn.
+ *
+ * @param  {Object[]} matchers           Compiled routes, from compileRoutes
+ * @param  {Function} [warn=console.warn] Called with each warning message
+ * @return {Object[]}                    Compiled routes, most specific first
+ */
+export function rankMatchers(matchers, warn = console.warn) {
+    const ranked = matchers
+        .map((matcher, index) => ({matcher, index}))
+        .sort((a, b) => compareMatchers(a.matcher, b.matcher) || a.index - b.index)
+        .map(({matcher}) => matcher);
+
+    const catchAll = ranked.find(({segments}) => segments && segments.length === 1 && segments[0].wildcard);
+
+    ranked.forEach((matcher, index) => {
+        if (!matcher.segments) {
+            if (catchAll) {
+                warn(
+                    `baconRouter: Route "${matcher.route.name}" is unreachable, RegExp routes are tried after String routes `
+                    + `and "${catchAll.route.name}" matches every path`
+                );
+            }
+
+            return;
+        }
+
+        const signature = getSignature(matcher.segments);
+
+        ranked.slice(0, index).forEach((earlier) => {
+            if (!earlier.segments || compareMatchers(earlier, matcher) || !areStaticSegmentsEqual(earlier.segments, matcher.segments)) {
+                return;
+            }
+
+            if (getSignature(earlier.segments) === signature) {
+                warn(`baconRouter: Route "${matcher.route.name}" is unreachable, "${earlier.route.name}" matches the same paths`);
+            } else {
+                warn(
+                    `baconRouter: Routes "${earlier.route.name}" and "${matcher.route.name}" rank the same and may match `
+                    + `the same paths, "${earlier.route.name}" is tried first as it's listed first`
+                );
+            }
+        });
+    });
+
+    return ranked;
+}
+
+/**
+ * Compare two compiled routes by specificity.
+ *
+ * @param  {Object} a Compiled route
+ * @param  {Object} b Compiled route
+ * @return {Number}   Negative when a is more specific, positive when b is, 0 when they rank the same
+ */
+function compareMatchers(a, b) {
+    if (!a.segments || !b.segments) {
+        return (a.segments ? 0 : 1) - (b.segments ? 0 : 1);
+    }
+
+    const length = Math.min(a.segments.length, b.segments.length);
+
+    for (let i = 0; i < length; ++i) {
+        const difference = b.segments[i].score - a.segments[i].score;
+
+        if (difference) {
+            return difference;
+        }
+    }
+
+    const hasOptionalTail = ({segments}) => segments.slice(length).every(({optional}) => optional);
+
+    return hasOptionalTail(a) && hasOptionalTail(b)
+        ? a.segments.length - b.segments.length
+        : b.segments.length - a.segments.length;
+}
+
+/**
+ * Whether two equally scored routes share the same static segments, so could match the same paths.
+ *
+ * @param  {Object[]} a Segments
+ * @param  {Object[]} b Segments
+ * @return {Boolean}    True when every static segment matches
+ */
+function areStaticSegmentsEqual(a, b) {
+    return a.every((segment, index) => segment.score !== STATIC_SEGMENT || segment.signature === b[index].signature);
+}
+
+/**
+ * Signature of a whole path, ignoring param names.
+ *
+ * @param  {Object[]} segments Segments
+ * @return {String}            Signature
+ */
+function getSignature(segments) {
+    return segments.map(({signature}) => signature).join('');
+}
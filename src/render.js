@@ -0,0 +1,170 @@
+import bacon from 'baconjs';
+
+import {getLevelKey} from './routes';
+import {getErrorCode} from './errors';
+import {createLoadingValue, getLoadedHandler, preloadHandlers} from './lazy';
+
+/**
+ * Render navigations allowed through the guards into the values of their routes' handler streams.
+ *
+ * Lazy handlers in a navigation's chain are loaded first, with a {status: 'loading', route} value standing in for
+ * the (outermost) route still loading.
+ *
+ * @param  {Observable} items                  Navigations allowed through the guards, {navigation, match, error}
+ * @param  {Object}     handlers               Router's handlers
+ * @param  {Function}   [handlers.notFound]    Called with {location, path, query, hash} when no route matched
+ * @param  {Function}   [handlers.onError]     Called with {code, error, location} for errors
+ * @param  {Boolean}    [handlers.emitLoading] Emit loading values while lazy handlers load, true by default
+ * @return {Observable}                        EventStream of the rendered values
+ */
+export function renderNavigations(items, handlers) {
+    const {emitLoading = true} = handlers;
+
+    return renderLevel(items.flatMapLatest((item) => loadItem(item, emitLoading)), 0, handlers);
+}
+
+/**
+ * Load the lazy handlers of a navigation's matched chain.
+ *
+ * @param  {Object}     item        Navigation allowed through the guards, {navigation, match, error}
+ * @param  {Boolean}    emitLoading Emit the item as loading, {loadingDepth}, until its handlers have loaded
+ * @return {Observable}             Stream of the item, or {navigation, error} if a handler failed to load
+ */
+function loadItem(item, emitLoading) {
+    const routes = item.match ? item.match.chain.map(({route}) => route) : [];
+    const loadingDepth = routes.findIndex((route) => !getLoadedHandler(route) && route.lazy);
+
+    if (loadingDepth === -1) {
+        return bacon.once(item);
+    }
+
+    const loadedItem = bacon.fromPromise(
+        preloadHandlers(routes).then(() => item, (error) => ({navigation: item.navigation, error}))
+    );
+
+    return emitLoading
+        ? loadedItem.startWith(Object.assign({}, item, {loadingDepth}))
+        : loadedItem;
+}
+
+/**
+ * Render one level of the matched routes' chains. Each parent's handler stream stays subscribed
+ * while navigations keep it (and its params) in the chain, only its child level swapping out.
+ *
+ * @param  {Observable} items    Navigations allowed through the guards, {navigation, match, error}
+ * @param  {Number}     depth    Depth within the matched chain, 0 being the outermost route
+ * @param  {Object}     handlers Router's {notFound, onError} handlers
+ * @return {Observable}          EventStream of the rendered values
+ */
+function renderLevel(items, depth, handlers) {
+    const keyedItems = items.map((item) => ({item, key: getItemLevelKey(item, depth)}));
+
+    return keyedItems
+        .skipDuplicates((previous, next) => previous.key === next.key)
+        .flatMapLatest(({item, key}) => {
+            const {navigation: {location}, match} = item;
+
+            if (!isLayoutLevel(item, depth)) {
+                return renderItem(item, handlers);
+            }
+
+            const {route, params} = match.chain[depth];
+            const handler = getLoadedHandler(route);
+            const children = renderLevel(
+                keyedItems
+                    .filter((next) => next.key === key)
+                    .map((next) => next.item)
+                    .startWith(item),
+                depth + 1,
+                handlers
+            );
+
+            if (!handler) {
+                return children;
+            }
+
+            try {
+                const {query, hash} = match;
+                const combine = route.combine || ((parentValue, childValue) => Object.assign({}, parentValue, childValue));
+
+                return bacon.combineWith(combine, handler({params, query, hash, route}), children);
+            } catch (error) {
+                return handleRouteError(error, location, handlers.onError);
+            }
+        });
+}
+
+/**
+ * Render a navigation's matched route, or its notFound or error, or a loading value while its handler loads.
+ *
+ * @param  {Object}     item     Navigation allowed through the guards, {navigation, match, error, loadingDepth}
+ * @param  {Object}     handlers Router's {notFound, onError} handlers
+ * @return {Observable}          Route handler's stream
+ */
+function renderItem({navigation, match, error, loadingDepth}, {notFound, onError}) {
+    const {location} = navigation;
+
+    try {
+        if (error) {
+            throw error;
+        } else if (loadingDepth !== undefined) {
+            return bacon.once(createLoadingValue(match.chain[loadingDepth].route));
+        } else if (match.route) {
+            return getLoadedHandler(match.route)(...match.args);
+        } else if (notFound) {
+            const {path, query, hash} = match;
+
+            return notFound({location, path, query, hash});
+        }
+    } catch (routeError) {
+        return handleRouteError(routeError, location, onError);
+    }
+
+    return bacon.never();
+}
+
+/**
+ * Hand anything thrown while routing to onError, falling back to a bacon.Error.
+ *
+ * @param  {*}          error     Thrown error
+ * @param  {String}     location  Location being routed
+ * @param  {Function}   [onError] Router's onError handler
+ * @return {Observable}           onError's stream, or a bacon.Error
+ */
+function handleRouteError(error, location, onError) {
+    if (!onError) {
+        return new bacon.Error(error);
+    }
+
+    try {
+        return onError({code: getErrorCode(error), error, location});
+    } catch (onErrorError) {
+        return new bacon.Error(onErrorError);
+    }
+}
+
+/**
+ * Whether a depth of a navigation's matched chain is a parent rendered around its children, rather than the
+ * route itself (or a loading value, while a handler at or above that depth loads).
+ *
+ * @param  {Object}  item  Navigation allowed through the guards, {navigation, match, error, loadingDepth}
+ * @param  {Number}  depth Depth within the matched chain
+ * @return {Boolean}       True for parents
+ */
+function isLayoutLevel(item, depth) {
+    const chain = !item.error && item.match ? item.match.chain : [];
+
+    return chain.length > depth + 1 && !(item.loadingDepth <= depth);
+}
+
+/**
+ * Key for a navigation at a depth of its matched chain. Parents are keyed by their route and params, so they're
+ * kept across navigations between their children, anything else is new for every navigation.
+ *
+ * @param  {Object} item  Navigation allowed through the guards, {navigation, match, error, loadingDepth}
+ * @param  {Number} depth Depth within the matched chain
+ * @return {*}            Key
+ */
+function getItemLevelKey(item, depth) {
+    return isLayoutLevel(item, depth) ? getLevelKey(item.match.chain[depth]) : item;
+}
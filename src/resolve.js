@@ -0,0 +1,223 @@
+import bacon from 'baconjs';
+
+import {MAX_REDIRECTS, buildLocation, compileRoutes, matchLocation} from './routes';
+import {getNavigationGuards, runGuards} from './guards';
+import {renderNavigations} from './render';
+import {defaultQueryCodec} from './query';
+import {createRedirectLoopError, errorCodes, getErrorCode} from './errors';
+import {renderHead, resolveHead, validateHead} from './head';
+
+/**
+ * Resolve a URL to a single route result, for server-side rendering.
+ *
+ * Nothing is pushed onto a history bus or written to a history, so concurrent requests stay isolated.
+ * Guards run as they would for the first navigation in the browser, but redirects come back rather than being followed.
+ * Lazy handlers are loaded before rendering, without any loading values.
+ *
+ * Resolves with
+ * - {status: 200, location, name, params, query, hash, value} for a matched route,
+ * - {status: 404, location, path, query, hash, value} without a match (value coming from notFound, if given),
+ * - {status: 400, location, error, value} for a malformed URL (value coming from onError, if given),
+ * - {status: 500, location, error, value} for a handler, or guard, that threw or emitted an error, or a redirect loop,
+ *   or for a handler ending without a value or not emitting one within the timeout,
+ * - {status: 301, location, redirect} for a redirect route (or its redirectStatus), see followRedirectRoutes,
+ * - {status: 302, location, redirect} for a guard redirect,
+ * - {status: 403, location, name, params, query, hash} for a guard cancelling the navigation.
+ *
+ * Rendered results (all but redirects and cancellations) also carry the document head for their value, as the router
+ * would apply it in the browser, and headHtml, the head rendered for the page's <head> (see src/head.js).
+ * Errors only get the router's default head.
+ *
+ * @param  {Object[]}   routes                         Route definitions, as handed to createRouter
+ * @param  {String}     url                            Location to resolve
+ * @param  {Object}     [options]                      Options, as handed to createRouter
+ * @param  {String}     [options.baseUrl='']           Base Path (to be ignored from the url)
+ * @param  {Boolean}    [options.ranked]               Match routes by specificity rather than priority order
+ * @param  {Object}     [options.paramTypes]           Custom param types, keyed by name
+ * @param  {Boolean}    [options.positionalRegExpArgs] Match RegExp routes against the whole url, with positional args
+ * @param  {Function}   [options.notFound]             Called with {location, path, query, hash} when no route matches (return stream)
+ * @param  {Function}   [options.onError]              Called with {code, error, location} for errors (return stream)
+ * @param  {Function[]} [options.beforeEach]           Global navigation guards
+ * @param  {Object}     [options.queryCodec]           Query string {parse, stringify} functions
+ * @param  {Object}     [options.head]                 Default document head, or a function of the routed value returning one
+ * @param  {Number}     [options.timeout=10000]        Milliseconds to wait for a handler's first value, 0 to wait as long as it takes
+ * @return {Promise}                                   Resolves with the route result, see above
+ */
+export function resolveRoute(routes, url, {
+    baseUrl = '',
+    ranked = false,
+    paramTypes,
+    positionalRegExpArgs = false,
+    notFound,
+    onError,
+    beforeEach,
+    queryCodec = defaultQueryCodec,
+    head: defaultHead,
+    timeout = 10000,
+} = {}) {
+    let matchers;
+
+    try {
+        matchers = compileRoutes(routes, {ranked, paramTypes, positionalRegExpArgs});
+
+        if (defaultHead !== undefined) {
+            validateHead('Router', defaultHead);
+        }
+    } catch (error) {
+        return Promise.reject(error);
+    }
+
+    const navigation = {location: url, state: null, title: null};
+    const render = (item) => renderResult(item, {notFound, onError, emitLoading: false}, defaultHead, timeout);
+
+    let match;
+
+    try {
+        match = matchLocation(matchers, baseUrl, url, queryCodec);
+    } catch (error) {
+        return render({navigation, error}).firstToPromise();
+    }
+
+    if (match.redirect) {
+        let redirect;
+
+        try {
+            redirect = followRedirectRoutes(matchers, {baseUrl, queryCodec}, match);
+        } catch (error) {
+            return render({navigation, error}).firstToPromise();
+        }
+
+        return Promise.resolve(Object.assign({location: url}, redirect));
+    }
+
+    return runGuards(getNavigationGuards(null, match, [].concat(beforeEach || [])), {to: match, from: null, navigation})
+        .mapError((error) => ({type: 'error', error}))
+        .flatMap(({type, target, error}) => {
+            if (type === 'redirect') {
+                let redirect;
+
+                try {
+                    redirect = typeof target === 'string' ? target : buildLocation(matchers, {baseUrl, queryCodec}, target);
+                } catch (buildError) {
+                    return render({navigation, error: buildError}); // e.g. a redirect to an unknown route
+                }
+
+                return bacon.once({status: 302, location: url, redirect});
+            } else if (type === 'cancel') {
+                return bacon.once(Object.assign({status: 403}, describeMatch(match)));
+            } else if (type === 'error') {
+                return render({navigation, error});
+            } else {
+                return render({navigation, match});
+            }
+        })
+        .firstToPromise();
+}
+
+/**
+ * Follow a match of a redirect route through any further redirect routes, so the client is sent straight to where it ends up.
+ *
+ * The status is the redirect route's redirectStatus (301 by default), or with several redirects, the first that isn't a 301,
+ * as a chain is only permanent if each redirect along it is. Guards aren't run along the way, they'll run for the final location.
+ *
+ * Throws a redirect loop error for a redirect back to a location along the way, or too many redirects.
+ *
+ * @param  {Object[]} matchers           Compiled routes
+ * @param  {Object}   options            Options
+ * @param  {String}   options.baseUrl    Base Path
+ * @param  {Object}   options.queryCodec Query codec, {parse, stringify}
+ * @param  {Object}   match              Match of a redirect route, from matchLocation
+ * @return {Object}                      {status, redirect}, redirect being the final location
+ */
+function followRedirectRoutes(matchers, {baseUrl, queryCodec}, match) {
+    const locations = [];
+    const statuses = [];
+
+    let current = match;
+
+    while (current.redirect) {
+        const {target, status} = current.redirect;
+        const location = typeof target === 'string' ? target : buildLocation(matchers, {baseUrl, queryCodec}, target);
+
+        locations.push(current.location);
+        statuses.push(status);
+
+        if (locations.indexOf(location) !== -1 || locations.length > MAX_REDIRECTS) {
+            throw createRedirectLoopError(locations.concat(location));
+        }
+
+        try {
+            current = matchLocation(matchers, baseUrl, location, queryCodec);
+        } catch (error) {
+            // A malformed URL is the final location's problem, it'll be a 400 once the client follows the redirect.
+            current = {location};
+        }
+    }
+
+    return {status: statuses.find((status) => status !== 301) || 301, redirect: current.location};
+}
+
+/**
+ * Render a navigation's first value, along with its HTTP status and document head.
+ *
+ * Handlers ending without a value, or not emitting one within the timeout, are rendered as if they'd errored, rather
+ * than leaving the request hanging.
+ *
+ * @param  {Object}          item          Navigation, {navigation, match, error}
+ * @param  {Object}          handlers      Router's {notFound, onError, emitLoading} handlers
+ * @param  {Object|Function} [defaultHead] Router's default head
+ * @param  {Number}          [timeout]     Milliseconds to wait for the first value, nothing (or 0) to wait as long as it takes
+ * @return {Observable}                    Stream of a single result
+ */
+function renderResult(item, handlers, defaultHead, timeout) {
+    const {navigation, match, error} = item;
+
+    let result;
+
+    if (error) {
+        result = {status: getErrorCode(error) === errorCodes.malformedUrl ? 400 : 500, location: navigation.location, error};
+    } else {
+        result = Object.assign({status: match.route ? 200 : 404}, describeMatch(match));
+    }
+
+    const withHead = (headMatch, value, extra) => {
+        const head = resolveHead(headMatch, value, defaultHead);
+
+        return Object.assign({}, result, extra, {head, headHtml: renderHead(head)});
+    };
+
+    if (!error && !match.route && !handlers.notFound) {
+        return bacon.once(withHead(match));
+    }
+
+    let label;
+
+    if (error) {
+        label = 'onError';
+    } else {
+        label = match.route ? `Route "${match.route.name}"` : 'notFound';
+    }
+
+    const ended = new bacon.Error(new Error(`baconRouter: ${label} ended without a value`));
+    const timedOut = new bacon.Error(new Error(`baconRouter: ${label} didn't emit a value within ${timeout}ms`));
+
+    return renderNavigations(bacon.once(item), handlers)
+        .concat(bacon.once(ended))
+        .merge(timeout ? bacon.later(timeout, timedOut) : bacon.never())
+        .map((value) => withHead(error ? null : match, value, {value}))
+        // Errors from a matched route's handler turn a 200 into a 500, anything else keeps its status.
+        .mapError((streamError) => withHead(null, undefined, {status: result.status === 200 ? 500 : result.status, error: streamError}))
+        .take(1);
+}
+
+/**
+ * Describe a match for a route result.
+ *
+ * @param  {Object} match Match, from matchLocation
+ * @return {Object}       {location, name, params, query, hash}, or {location, path, query, hash} without a route
+ */
+function describeMatch({location, route, path, params, query, hash}) {
+    return route
+        ? {location, name: route.name, params, query, hash}
+        : {location, path, query, hash};
+}
@@ -0,0 +1,483 @@
+import pathToRegexp from 'path-to-regexp';
+import pick from 'lodash/pick';
+
+import {applyQuerySchema, defaultQueryCodec, validateQuerySchema} from './query';
+import {validateHead} from './head';
+import {createMalformedUrlError} from './errors';
+import {getPathSegments, rankMatchers} from './rank';
+import {defaultParamTypes, expandParamTypes, formatParams, parseParams, validateParamTypes} from './params';
+
+// Statuses a redirect route can report to server-side rendering, permanent (301) by default.
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Most redirects a navigation can follow before it's treated as a loop.
+export const MAX_REDIRECTS = 10;
+
+/**
+ * Compile a route table into matchers, validating each route definition as we go.
+ *
+ * Routes look like
+ * [
+ *     {name: 'user', path: '/user/:userId', handler: ({params}) => bacon.later(0, params), pageType: 'user'},
+ *     {name: 'group', path: /^\/group\/(?<groupId>\d+)$/, handler: ({params}) => bacon.later(0, params)},
+ *     {name: 'team', path: '/team/:teamId', handler: ({params}) => teamHeader(params.teamId), children: [
+ *         {name: 'team.fixtures', path: '/fixtures', handler: ({params}) => fixtures(params.teamId)},
+ *     ]},
+ * ]
+ *
+ * Anything other than name, path, handler and children is route metadata and is left untouched on the route.
+ * Routes can carry a `lazy` function in place of their handler, to load it when first needed (see src/lazy.js),
+ * and a `head` for the document, static or derived from the handler's value (see src/head.js).
+ * In place of a handler, routes can also `redirect` elsewhere (see compileRedirect) or be an `alias` of another route,
+ * matching their own path but routing as the other route, with its handler, guards and head.
+ * Nested routes are flattened, parents first, with each child's path appended to its parents'.
+ * Parents only match through their children.
+ *
+ * Routes are matched in the order they're listed, unless ranked, when they're ordered by specificity (see src/rank.js).
+ * String paths can type their params, e.g. `/user/:id(int)`, with the types in src/params.js and any custom ones.
+ * RegExp paths are tested against the decoded path, their named groups (or else their captures, by position) becoming
+ * params, unless positionalRegExpArgs keeps the original behaviour of testing the whole location (query string and all)
+ * and calling the handler with each capture as an argument.
+ *
+ * @param  {Object[]} routes                               Route definitions, {name, path, handler, children, ...meta}
+ * @param  {Object}   [options]                            Options
+ * @param  {Boolean}  [options.ranked=false]               Order routes by specificity, warning about unreachable and ambiguous ones
+ * @param  {Object}   [options.paramTypes]                 Custom param types, keyed by name, alongside the default ones
+ * @param  {Boolean}  [options.positionalRegExpArgs=false] Match RegExp routes as they originally were
+ * @return {Object[]}                                      [{route, chain, segments,
+ *                                                         match: (currentRoute, splitCurrentRoute) => match|null,
+ *                                                         toPath: (params) => path, toChain: (params) => chain,
+ *                                                         redirectTo: (match, options) => redirect|null}]
+ */
+export function compileRoutes(routes, {ranked = false, paramTypes = {}, positionalRegExpArgs = false} = {}) {
+    validateParamTypes(paramTypes);
+
+    const options = {paramTypes: Object.assign({}, defaultParamTypes, paramTypes), positionalRegExpArgs};
+    const compiledMatchers = flattenRoutes(routes, [], {})
+        .map((chain) => Object.assign({route: chain[chain.length - 1], chain}, compilePath(chain, options)));
+    const matchers = compiledMatchers.map((matcher) => (matcher.route.alias ? compileAlias(matcher, compiledMatchers) : matcher));
+
+    return ranked ? rankMatchers(matchers) : matchers;
+}
+
+/**
+ * Validate and flatten (possibly nested) route definitions into chains of routes, outermost parent first.
+ *
+ * @param  {Object[]} routes    Route definitions
+ * @param  {Object[]} parents   Chain of parent routes
+ * @param  {Object}   seenNames Route names already used
+ * @return {Array[]}            Chains of routes, one per matchable route
+ */
+function flattenRoutes(routes, parents, seenNames) {
+    if (!Array.isArray(routes)) {
+        throw new Error('baconRouter: routes should be an array of {name, path, handler} objects');
+    }
+
+    return routes.reduce((chains, route, index) => {
+        if (!route || typeof route !== 'object') {
+            throw new Error(`baconRouter: Route at index ${index} should be a {name, path, handler} object`);
+        }
+
+        const {name, handler, lazy, redirect, alias, children} = route;
+
+        if (typeof name !== 'string' || !name) {
+            throw new Error(`baconRouter: Route at index ${index} is missing a name`);
+        }
+
+        if (seenNames[name]) {
+            throw new Error(`baconRouter: Duplicate route name "${name}"`);
+        }
+
+        seenNames[name] = true;
+
+        if (route.querySchema) {
+            validateQuerySchema(name, route.querySchema);
+        }
+
+        if (route.head !== undefined) {
+            validateHead(`Route "${name}"`, route.head);
+        }
+
+        if (lazy !== undefined && (typeof lazy !== 'function' || handler !== undefined)) {
+            throw new Error(`baconRouter: Route "${name}" expects either a handler function or a lazy function returning one`);
+        }
+
+        if (redirect !== undefined || alias !== undefined) {
+            validateRedirectOrAlias(route);
+        }
+
+        const chain = parents.concat(route);
+
+        if (!children) {
+            if (typeof handler !== 'function' && !lazy && redirect === undefined && alias === undefined) {
+                throw new Error(`baconRouter: Route "${name}" expects a handler function, got ${typeof handler}`);
+            }
+
+            return chains.concat([chain]);
+        }
+
+        // Layout routes can skip the handler, their children's values are emitted as is.
+        if (handler !== undefined && typeof handler !== 'function') {
+            throw new Error(`baconRouter: Route "${name}" expects a handler function, got ${typeof handler}`);
+        }
+
+        if (typeof route.path !== 'string') {
+            throw new Error(`baconRouter: Route "${name}" has children, so expects a String path`);
+        }
+
+        return chains.concat(flattenRoutes(children, chain, seenNames));
+    }, []);
+}
+
+/**
+ * Check a route's redirect or alias, which stand in for its handler.
+ *
+ * @param  {Object}    route Route definition
+ * @return {undefined}
+ */
+function validateRedirectOrAlias(route) {
+    const {name, handler, lazy, redirect, alias, redirectStatus, children} = route;
+
+    if (handler !== undefined || lazy !== undefined || children !== undefined || (redirect !== undefined && alias !== undefined)) {
+        throw new Error(`baconRouter: Route "${name}" can only redirect or be an alias, without a handler, lazy handler or children`);
+    }
+
+    if (redirect !== undefined && typeof redirect !== 'string' && typeof redirect !== 'function') {
+        throw new Error(`baconRouter: Route "${name}" expects its redirect to be a String path or a function, got ${typeof redirect}`);
+    }
+
+    if (redirectStatus !== undefined && (redirect === undefined || REDIRECT_STATUSES.indexOf(redirectStatus) === -1)) {
+        throw new Error(
+            `baconRouter: Route "${name}" expects its redirectStatus to be one of ${REDIRECT_STATUSES.join(', ')}, along with a redirect`
+        );
+    }
+
+    if (alias !== undefined && (typeof alias !== 'string' || alias === name)) {
+        throw new Error(`baconRouter: Route "${name}" expects its alias to be the name of another route`);
+    }
+}
+
+/**
+ * Key identifying a level of a match's chain, a route along with the params it was matched with.
+ *
+ * @param  {Object} level Level of a match's chain, {route, params}
+ * @return {String}       Key
+ */
+export function getLevelKey({route, params}) {
+    return `${route.name}:${JSON.stringify(params)}`;
+}
+
+/**
+ * Build the full location for a named route.
+ *
+ * @param  {Object[]} matchers           Compiled routes, from compileRoutes
+ * @param  {Object}   options            Router options
+ * @param  {String}   options.baseUrl    Base Path, prefixed to the route's path
+ * @param  {Object}   options.queryCodec Query codec, {parse, stringify}
+ * @param  {Object}   target             Route to build, {name, params, query, hash}
+ * @return {String}                      Location, including the baseUrl
+ */
+export function buildLocation(matchers, {baseUrl, queryCodec}, {name, params, query, hash}) {
+    const matcher = matchers.find(({route}) => route.name === name);
+
+    if (!matcher) {
+        throw new Error(`baconRouter: Unknown route "${name}"`);
+    }
+
+    const search = query ? queryCodec.stringify(query) : '';
+
+    return baseUrl
+        + matcher.toPath(params)
+        + (search ? `?${search}` : '')
+        + (hash ? `#${encodeURIComponent(hash)}` : '');
+}
+
+/**
+ * Find the first route matching a location, in the matchers' order.
+ *
+ * Without a matching route, the match has a null route along with the decoded path, parsed query and decoded hash.
+ * Matches of redirect routes carry the redirect, {target, status}, with the target a location or {name, params, query, hash}.
+ *
+ * @param  {Object[]} matchers     Compiled routes, from compileRoutes
+ * @param  {String}   baseUrl      Base Path (to be ignored from location)
+ * @param  {String}   location     Location to match
+ * @param  {Object}   [queryCodec] Query codec, {parse, stringify}
+ * @return {Object}                Match, {location, route, chain, path, params, query, hash, args, redirect}
+ */
+export function matchLocation(matchers, baseUrl, location, queryCodec = defaultQueryCodec) {
+    const currentRoute = location.replace(baseUrl, ''); // @TODO Less hacky.
+
+    let splitRoute;
+
+    const splitCurrentRoute = () => {
+        if (splitRoute) {
+            return splitRoute;
+        }
+
+        const [encodedPath, search, hash] = (/^([^?#]*)(?:\?([^#]*))?(?:#(.*))?$/.exec(currentRoute) || [])
+            .slice(1)
+            .map((value) => value || '');
+
+        let path;
+        let paramPath;
+
+        try {
+            path = decodeURIComponent(encodedPath);
+            paramPath = decodePathForParams(encodedPath);
+        } catch (error) {
+            // URL path isn't valid - caught and handed to onError, or wrapped in bacon.Error (by the router)
+            throw createMalformedUrlError(location);
+        }
+
+        splitRoute = [path, queryCodec.parse(search), decodeHash(hash), paramPath];
+
+        return splitRoute;
+    };
+
+    for (let i = 0; i < matchers.length; ++i) {
+        const match = matchers[i].match(currentRoute, splitCurrentRoute);
+
+        if (match) {
+            const locatedMatch = Object.assign({location}, match);
+            const redirect = matchers[i].redirectTo(locatedMatch, {baseUrl, suffix: currentRoute.replace(/^[^?#]*/, '')});
+
+            return redirect ? Object.assign(locatedMatch, {redirect}) : locatedMatch;
+        }
+    }
+
+    const [path, query, hash] = splitCurrentRoute();
+
+    return {location, route: null, chain: [], path, params: {}, query, hash, args: []};
+}
+
+/**
+ * Decode a path for String routes to match against, leaving `/`, `?`, `#` and `%` encoded so params holding them still
+ * match as a single param, and decode to what they were built with.
+ *
+ * @param  {String} encodedPath Path, as it is in the location
+ * @return {String}             Path with everything else decoded, throwing for malformed paths
+ */
+function decodePathForParams(encodedPath) {
+    return encodedPath
+        .split(/(%2F|%3F|%23|%25)/i)
+        .map((part, index) => (index % 2 ? part.toUpperCase() : decodeURIComponent(part)))
+        .join('');
+}
+
+/**
+ * Decode a param matched against a path from decodePathForParams.
+ *
+ * @param  {String} value Matched value, undefined for optional params left out
+ * @return {String}       Decoded value
+ */
+function decodeParam(value) {
+    return value === undefined ? value : decodeURIComponent(value);
+}
+
+/**
+ * Decode a location's hash, as it's encoded when building locations. Hashes which can't be decoded are left as they are.
+ *
+ * @param  {String} hash Hash, without the leading '#'
+ * @return {String}      Decoded hash
+ */
+function decodeHash(hash) {
+    try {
+        return decodeURIComponent(hash);
+    } catch (error) {
+        return hash;
+    }
+}
+
+/**
+ * Turn a chain of routes' paths (String or RegExp) into functions testing the current route and building paths for it.
+ *
+ * splitCurrentRoute returns the decoded [path, query, hash, paramPath], throwing for malformed URLs. String paths are
+ * matched against the paramPath, which keeps the characters a param can be built with but a path can't hold (e.g. `/`)
+ * encoded, and their params decoded after, so every location href builds routes back to the same route and params.
+ * A match is {route, chain, path, params, query, hash, args}, where args are what the route's handler is called with
+ * and chain holds each route from the outermost parent down, along with the params matched by its part of the path.
+ *
+ * Typed params which don't validate don't match, letting the path fall through to the next route.
+ *
+ * @param  {Object[]} chain                        Route definitions, outermost parent first
+ * @param  {Object}   options                      Options
+ * @param  {Object}   options.paramTypes           Param types, keyed by name
+ * @param  {Boolean}  options.positionalRegExpArgs Match RegExp routes against the whole location, with positional args
+ * @return {Object}                                {match: (currentRoute, splitCurrentRoute) => match|null,
+ *                                                 toPath: (params) => path, toChain: (params) => chain,
+ *                                                 redirectTo: (match, options) => redirect|null, segments}
+ */
+function compilePath(chain, {paramTypes, positionalRegExpArgs}) {
+    const route = chain[chain.length - 1];
+    const {name} = route;
+    const fullPath = chain.length > 1 ? chain.map((link) => link.path).join('') : route.path;
+
+    if (typeof fullPath === 'string') {
+        const {path, types} = expandParamTypes(fullPath, paramTypes);
+        const keys = [];
+        const regexp = pathToRegexp(path, keys);
+        const compiledToPath = pathToRegexp.compile(path);
+
+        // Names of the params each route in the chain can see, its own and its parents'.
+        const chainKeyNames = chain.map((link, index) => (
+            pathToRegexp
+                .parse(chain.slice(0, index + 1).map((parent) => parent.path).join(''))
+                .filter((token) => typeof token === 'object')
+                .map((token) => token.name)
+        ));
+
+        // Children see their parents' query schemas too.
+        const querySchema = chain.reduce((schema, link) => Object.assign(schema, link.querySchema), {});
+
+        const toChain = (params) => chain.map((link, index) => ({
+            route: link,
+            params: pick(params, chainKeyNames[index]),
+        }));
+        const match = (currentRoute, splitCurrentRoute) => {
+            const [decodedPath, parsedQuery, hash, paramPath] = splitCurrentRoute();
+            const matches = regexp.exec(paramPath);
+
+            const params = matches && parseParams(
+                keys.reduce((acc, {name}, index) => Object.assign(acc, {[name]: decodeParam(matches[index + 1])}), {}),
+                types
+            );
+
+            if (params) {
+                const query = applyQuerySchema(parsedQuery, querySchema);
+
+                return {route, chain: toChain(params), path: decodedPath, params, query, hash, args: [{params, query, hash, route}]};
+            } else {
+                return null;
+            }
+        };
+        const toPath = (params = {}) => {
+            const missingKey = keys.find((key) => !key.optional && (params[key.name] === undefined || params[key.name] === null));
+
+            if (missingKey) {
+                throw new Error(`baconRouter: Missing required param "${missingKey.name}" for route "${name}"`);
+            }
+
+            try {
+                return compiledToPath(formatParams(params, types)); // Encodes each param with encodeURIComponent
+            } catch (error) {
+                throw new Error(`baconRouter: Unable to build a path for route "${name}". ${error.message}`);
+            }
+        };
+
+        return {match, toPath, toChain, redirectTo: compileRedirect(route, types), segments: getPathSegments(path)};
+    } else if (fullPath instanceof RegExp) {
+        const toChain = (params) => [{route, params}];
+        const match = (currentRoute, splitCurrentRoute) => {
+            if (positionalRegExpArgs) {
+                const matches = fullPath.exec(currentRoute);
+
+                // First item is the string that matched, not the capture groups.
+                return matches ? {route, chain: toChain({}), params: {}, args: matches.slice(1)} : null;
+            }
+
+            const [decodedPath, parsedQuery, hash] = splitCurrentRoute();
+            const matches = fullPath.exec(decodedPath);
+
+            if (matches) {
+                const params = getRegExpParams(matches);
+                const query = applyQuerySchema(parsedQuery, route.querySchema || {});
+
+                return {route, chain: toChain(params), path: decodedPath, params, query, hash, args: [{params, query, hash, route}]};
+            } else {
+                return null;
+            }
+        };
+
+        const toPath = () => {
+            throw new Error(`baconRouter: Route "${name}" has a RegExp path, paths can only be built for String routes`);
+        };
+
+        return {match, toPath, toChain, redirectTo: compileRedirect(route, {}), segments: null};
+    } else {
+        throw new Error(`baconRouter: Route "${name}" has an unknown route test method, expected a String or RegExp path`);
+    }
+}
+
+/**
+ * Compile a route's redirect into a function building where its matches redirect to.
+ *
+ * String redirects are paths (relative to the baseUrl), filled in with the match's params and keeping its query string
+ * and hash, e.g. `/football/afl/:rest*` for a route matching `/afl/:rest*`. Redirect functions are called with
+ * {location, params, query, hash} and return a location String or {name, params, query, hash}, as guards do.
+ *
+ * @param  {Object}   route Route definition
+ * @param  {Object}   types Param types of the route's params, keyed by param name, to format them back into a path
+ * @return {Function}       (match, {baseUrl, suffix}) => {target, status}, or null for routes which don't redirect
+ */
+function compileRedirect({name, redirect, redirectStatus = 301}, types) {
+    if (redirect === undefined) {
+        return () => null;
+    } else if (typeof redirect === 'function') {
+        return ({location, params, query, hash}) => ({target: redirect({location, params, query, hash}), status: redirectStatus});
+    }
+
+    const toPath = pathToRegexp.compile(redirect);
+    const repeatedNames = pathToRegexp.parse(redirect)
+        .filter((token) => typeof token === 'object' && token.repeat)
+        .map((token) => token.name);
+
+    return ({params}, {baseUrl, suffix}) => {
+        const formattedParams = formatParams(params, types);
+
+        // Repeated params match as a single string, but are built from each of their segments.
+        repeatedNames
+            .filter((paramName) => typeof formattedParams[paramName] === 'string')
+            .forEach((paramName) => {
+                formattedParams[paramName] = formattedParams[paramName].split('/');
+            });
+
+        try {
+            return {target: baseUrl + toPath(formattedParams) + suffix, status: redirectStatus};
+        } catch (error) {
+            throw new Error(`baconRouter: Unable to build the redirect for route "${name}". ${error.message}`);
+        }
+    };
+}
+
+/**
+ * Point an alias route's matcher at the route it's an alias of, so its matches route as that route.
+ *
+ * @param  {Object}   matcher  Compiled alias route
+ * @param  {Object[]} matchers Compiled routes
+ * @return {Object}            Compiled route, still matching (and building) the alias's own path
+ */
+function compileAlias(matcher, matchers) {
+    const {name, alias} = matcher.route;
+    const target = matchers.find(({route}) => route.name === alias);
+
+    if (!target || target.route.alias !== undefined || target.route.redirect !== undefined) {
+        throw new Error(`baconRouter: Route "${name}" is an alias of "${alias}", which should be a route with a handler`);
+    }
+
+    return Object.assign({}, matcher, {
+        match: (currentRoute, splitCurrentRoute) => {
+            const match = matcher.match(currentRoute, splitCurrentRoute);
+
+            return match && Object.assign({}, match, {
+                route: target.route,
+                chain: target.toChain(match.params),
+                args: match.args.map((arg) => (arg && arg.route === matcher.route ? Object.assign({}, arg, {route: target.route}) : arg)),
+            });
+        },
+    });
+}
+
+/**
+ * Params of a RegExp route's match, its named groups, or without any, its captures keyed by position (0, 1...)
+ * like path-to-regexp's unnamed params.
+ *
+ * @param  {Array}  matches Result of RegExp.exec
+ * @return {Object}         Params
+ */
+function getRegExpParams(matches) {
+    if (matches.groups) {
+        return Object.assign({}, matches.groups);
+    }
+
+    return matches.slice(1).reduce((params, capture, index) => Object.assign(params, {[index]: capture}), {});
+}
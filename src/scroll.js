@@ -0,0 +1,83 @@
+/**
+ * Scroller for a router, reading and restoring scroll positions of the window or a custom scroll container.
+ *
+ * Takes over the browser's own scroll restoration while it's in use.
+ *
+ * @param  {Object}           [options]           Options
+ * @param  {Element|Function} [options.container] Element to scroll (or a function returning it), defaulting to the window
+ * @return {Object}                               {getPosition, scrollTo, dispose}
+ */
+export function createScroller({container} = {}) {
+    const getContainer = () => (typeof container === 'function' ? container() : container) || null;
+    const hasScrollRestoration = window.history && 'scrollRestoration' in window.history;
+    const originalScrollRestoration = hasScrollRestoration && window.history.scrollRestoration;
+
+    if (hasScrollRestoration) {
+        window.history.scrollRestoration = 'manual';
+    }
+
+    return {
+
+        /**
+         * Current scroll position.
+         *
+         * @return {Object} {x, y}
+         */
+        getPosition() {
+            const element = getContainer();
+
+            return element
+                ? {x: element.scrollLeft, y: element.scrollTop}
+                : {x: window.pageXOffset, y: window.pageYOffset};
+        },
+
+        /**
+         * Scroll to a saved position, or the element a hash names, or the top.
+         *
+         * @param  {Object}    target            Where to scroll
+         * @param  {Object}    [target.position] Saved position, {x, y}
+         * @param  {String}    [target.hash]     Hash naming an element's id (or anchor name), without the leading '#'
+         * @return {undefined}
+         */
+        scrollTo({position, hash}) {
+            const hashTarget = !position && hash && findHashTarget(hash);
+
+            if (hashTarget) {
+                hashTarget.scrollIntoView();
+
+                return;
+            }
+
+            const {x, y} = position || {x: 0, y: 0};
+            const element = getContainer();
+
+            if (element) {
+                element.scrollLeft = x;
+                element.scrollTop = y;
+            } else {
+                window.scrollTo(x, y);
+            }
+        },
+
+        /**
+         * Hand scroll restoration back to the browser.
+         *
+         * @return {undefined}
+         */
+        dispose() {
+            if (hasScrollRestoration) {
+                window.history.scrollRestoration = originalScrollRestoration;
+            }
+        },
+    };
+}
+
+/**
+ * Element a hash points at, by id or anchor name.
+ *
+ * @param  {String}  hash Decoded hash, without the leading '#'
+ * @return {Element}      Element, or null
+ */
+function findHashTarget(hash) {
+    return window.document.getElementById(hash) || window.document.getElementsByName(hash)[0] || null;
+}
@@ -0,0 +1,155 @@
+import isPlainObject from 'lodash/isPlainObject';
+
+import {createInvalidStateError} from './errors';
+
+// Browsers limit what a history entry can hold, Firefox (the strictest) at 640k characters of serialised state.
+export const DEFAULT_MAX_STATE_SIZE = 640 * 1024;
+
+let entryCount = 0;
+
+/**
+ * Default state serializer, used by routers without a stateSerializer of their own.
+ *
+ * Only JSON-safe state (plain objects, arrays, strings, finite numbers, booleans and null) is allowed, and it's copied
+ * on the way in (dropping undefined values), so later changes to the object handed to the router don't leak into
+ * the history entry.
+ * Custom serializers need the same shape, returning something the browser can structured clone.
+ */
+export const defaultStateSerializer = {
+    serialize: (state) => {
+        const unsafePath = findUnsafePath(state, 'state');
+
+        if (unsafePath) {
+            throw createInvalidStateError(`${unsafePath} isn't JSON-safe, only plain objects, arrays, strings, `
+                + 'finite numbers, booleans and null can be kept in the history');
+        }
+
+        return JSON.parse(JSON.stringify(state));
+    },
+    deserialize: (storedState) => storedState,
+};
+
+/**
+ * Serialise state for a history entry, checking it fits.
+ *
+ * @param  {*}      state                Navigation's state
+ * @param  {Object} options              Options
+ * @param  {Object} options.serializer   State serializer, {serialize, deserialize}
+ * @param  {Number} options.maxStateSize Largest serialised state allowed, in characters of JSON
+ * @return {*}                           Serialised state
+ */
+export function serializeState(state, {serializer, maxStateSize}) {
+    if (state === null || state === undefined) {
+        return null;
+    }
+
+    const serializedState = serializer.serialize(state);
+
+    let size;
+
+    try {
+        size = JSON.stringify(serializedState).length;
+    } catch (error) {
+        throw createInvalidStateError(`Serialised state can't be measured, ${error.message}`);
+    }
+
+    if (size > maxStateSize) {
+        throw createInvalidStateError(`Serialised state is ${size} characters, over the ${maxStateSize} allowed`);
+    }
+
+    return serializedState;
+}
+
+/**
+ * Identifier for a new history entry, unique across reloads of the page.
+ *
+ * @return {String} Entry ID
+ */
+export function createEntryId() {
+    entryCount++;
+
+    return `${Date.now().toString(36)}.${entryCount.toString(36)}.${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * State store keeping history state in sessionStorage, keyed by entry ID, rather than in the history entries
+ * themselves. Storage outlives reloads of the page, so back/forward navigations to entries from before a reload
+ * still find their state.
+ *
+ * Once over maxEntries, the oldest entries' state is dropped, as it is if storage runs out of room.
+ *
+ * @param  {Object}  [options]                               Options
+ * @param  {Storage} [options.storage=window.sessionStorage] Web Storage to keep state in
+ * @param  {String}  [options.prefix='baconjs-router:']      Prefix for the storage keys
+ * @param  {Number}  [options.maxEntries=50]                 Most entries to keep state for
+ * @return {Object}                                          {get: (id) => state, set: (id, state) => {}}
+ */
+export function createSessionStateStore({storage = window.sessionStorage, prefix = 'baconjs-router:', maxEntries = 50} = {}) {
+    const indexKey = `${prefix}index`;
+    const readIndex = () => {
+        try {
+            return JSON.parse(storage.getItem(indexKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    };
+    const writeIndex = (ids) => storage.setItem(indexKey, JSON.stringify(ids));
+
+    return {
+        get: (id) => {
+            try {
+                const storedState = storage.getItem(prefix + id);
+
+                return storedState === null ? null : JSON.parse(storedState);
+            } catch (error) {
+                return null;
+            }
+        },
+        set: (id, state) => {
+            const value = JSON.stringify(state);
+
+            let ids = readIndex().filter((storedId) => storedId !== id).concat(id);
+
+            for (;;) {
+                while (ids.length > maxEntries) {
+                    storage.removeItem(prefix + ids.shift());
+                }
+
+                try {
+                    storage.setItem(prefix + id, value);
+                    writeIndex(ids);
+
+                    return;
+                } catch (error) {
+                    if (ids.length <= 1) {
+                        throw createInvalidStateError(`State couldn't be stored, ${error.message}`);
+                    }
+
+                    // Out of room, so make some by dropping the oldest entry.
+                    storage.removeItem(prefix + ids.shift());
+                }
+            }
+        },
+    };
+}
+
+/**
+ * Find the first value which wouldn't survive a trip through JSON.
+ *
+ * @param  {*}      value Value to check
+ * @param  {String} path  Where the value sits, for the error message
+ * @return {String}       Path to the first unsafe value, or null
+ */
+function findUnsafePath(value, path) {
+    if (value === null || value === undefined || typeof value === 'string' || typeof value === 'boolean') {
+        return null;
+    } else if (typeof value === 'number') {
+        return isFinite(value) ? null : path;
+    } else if (Array.isArray(value)) {
+        return value.reduce((unsafePath, item, index) => unsafePath || findUnsafePath(item, `${path}[${index}]`), null);
+    } else if (isPlainObject(value)) {
+        return Object.keys(value).reduce((unsafePath, key) => unsafePath || findUnsafePath(value[key], `${path}.${key}`), null);
+    } else {
+        return path;
+    }
+}
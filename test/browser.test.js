@@ -0,0 +1,266 @@
+import assert from 'assert';
+import bacon from 'baconjs';
+
+import baconRouter, {createHashHistory, createRouter, getBaconRouterHistoryBus, interceptLinks, listenToPopState} from '../index';
+import {collect, createMemoryWindow, createWindow, restoreGlobals, tick} from './helpers/window';
+
+const baseUrl = 'http://www.example.com';
+
+const routes = [
+    {name: 'home', path: '/', handler: () => bacon.once('home')},
+    {name: 'user', path: '/user/:userId', handler: ({params}) => bacon.once(params.userId)},
+];
+
+describe('in the browser', () => {
+    afterEach(restoreGlobals);
+
+    describe('createRouter', () => {
+        let window;
+
+        beforeEach(() => {
+            window = createWindow(`${baseUrl}/user/1?tab=stats`);
+        });
+
+        it('replaces the entry it boots on rather than pushing a new one', () => {
+            const router = createRouter({baseUrl, routes, scroll: false});
+            const {values, unsubscribe} = collect(router);
+
+            assert.deepEqual(values, ['1']);
+            assert.equal(window.history.length, 1);
+            assert.equal(window.location.href, `${baseUrl}/user/1?tab=stats`);
+            assert.equal(window.history.state.location, `${baseUrl}/user/1?tab=stats`);
+            assert.equal(window.history.state.title, 'Example');
+            assert.equal(window.history.state.index, 0);
+
+            unsubscribe();
+            router.dispose();
+        });
+
+        it('pushes new entries, and replaces the current one with shouldReplaceState', () => {
+            const router = createRouter({baseUrl, routes, scroll: false});
+            const {values, unsubscribe} = collect(router);
+
+            router.historyBus.push({location: `${baseUrl}/user/2`, state: {from: 'user'}, title: 'User 2'});
+
+            assert.equal(window.history.length, 2);
+            assert.equal(window.location.href, `${baseUrl}/user/2`);
+            assert.deepEqual(window.history.state.state, {from: 'user'});
+            assert.equal(window.document.title, 'User 2');
+
+            router.historyBus.push({location: `${baseUrl}/`, state: null, title: 'Home', shouldReplaceState: true});
+
+            assert.deepEqual(values, ['1', '2', 'home']);
+            assert.equal(window.history.length, 2);
+            assert.equal(window.location.href, `${baseUrl}/`);
+            assert.equal(window.history.state.index, 1);
+
+            unsubscribe();
+            router.dispose();
+        });
+
+        it('replays back/forward navigations with their entry\'s state', () => {
+            const router = createRouter({baseUrl, routes, scroll: false});
+            const {values, unsubscribe} = collect(router);
+            const current = collect(router.current);
+
+            router.navigate('user', {userId: '2'}, {state: {from: 'user'}});
+            router.navigate('home');
+            window.history.back();
+
+            return tick()
+                .then(() => {
+                    assert.deepEqual(values, ['1', '2', 'home', '2']);
+                    assert.deepEqual(current.values[3].state, {from: 'user'});
+
+                    window.history.go(-1);
+
+                    return tick();
+                })
+                .then(() => {
+                    assert.deepEqual(values, ['1', '2', 'home', '2', '1']);
+                    assert.equal(window.location.href, `${baseUrl}/user/1?tab=stats`);
+
+                    current.unsubscribe();
+                    unsubscribe();
+                    router.dispose();
+                });
+        });
+
+        it('scrolls to the top for new navigations, and back to where it was for back/forward ones', () => {
+            const router = createRouter({baseUrl, routes});
+            const {unsubscribe} = collect(router);
+
+            window.pageYOffset = 300;
+            router.navigate('home');
+
+            return tick()
+                .then(() => {
+                    assert.deepEqual(window.scrollCalls, [[0, 0]]);
+
+                    window.history.back();
+
+                    return tick();
+                })
+                .then(() => {
+                    assert.deepEqual(window.scrollCalls, [[0, 0], [0, 300]]);
+
+                    unsubscribe();
+                    router.dispose();
+                });
+        });
+    });
+
+    describe('createBrowserHistory', () => {
+        it('reloads the page for back/forward navigations to entries the router didn\'t write', () => {
+            const window = createMemoryWindow(`${baseUrl}/`);
+            const router = createRouter({baseUrl, routes, scroll: false});
+            const {values, unsubscribe} = collect(router);
+
+            window.history.pushState(null, '', `${baseUrl}/user/1`);
+            window.history.pushState(null, '', `${baseUrl}/user/2`);
+            window.history.back();
+
+            return tick().then(() => {
+                assert.equal(window.reloads, 1);
+                assert.deepEqual(values, ['home']);
+
+                unsubscribe();
+                router.dispose();
+            });
+        });
+    });
+
+    describe('createHashHistory', () => {
+        it('routes the location in the hash, including hashes edited by hand', () => {
+            const window = createWindow(`${baseUrl}/page.html#/user/1`);
+            const router = createRouter({baseUrl: '', routes, history: createHashHistory(), scroll: false});
+            const {values, unsubscribe} = collect(router);
+
+            router.navigate('user', {userId: '2'});
+
+            assert.equal(window.location.href, `${baseUrl}/page.html#/user/2`);
+
+            window.location.hash = '#/';
+
+            return tick().then(() => {
+                assert.deepEqual(values, ['1', '2', 'home']);
+                assert.equal(window.history.state.location, '/');
+
+                unsubscribe();
+                router.dispose();
+            });
+        });
+    });
+
+    describe('listenToPopState', () => {
+        it('pushes back/forward navigations onto the history bus until told to stop', () => {
+            const window = createWindow(`${baseUrl}/`);
+            const historyBus = new bacon.Bus();
+            const {values} = collect(historyBus);
+            const unlisten = listenToPopState(historyBus);
+
+            window.history.replaceState({state: {tab: 'stats'}, title: 'Home', location: `${baseUrl}/`, index: 0}, 'Home');
+            window.history.pushState({state: null, title: 'User', location: `${baseUrl}/user/1`, index: 1}, 'User', '/user/1');
+            window.history.back();
+
+            return tick()
+                .then(() => {
+                    assert.deepEqual(values, [{
+                        state: {tab: 'stats'},
+                        title: 'Home',
+                        location: `${baseUrl}/`,
+                        index: 0,
+                        scroll: undefined,
+                        fromPopState: true,
+                    }]);
+
+                    unlisten();
+                    window.history.forward();
+
+                    return tick();
+                })
+                .then(() => {
+                    assert.equal(values.length, 1);
+                });
+        });
+    });
+
+    describe('baconRouter', () => {
+        it('gives each router its own history bus, forwarding the shared one onto it until disposed', () => {
+            createWindow(`${baseUrl}/match/m1/supercoach`);
+
+            const createWidget = () => baconRouter(
+                baseUrl,
+                'match/m1/supercoach',
+                '/',
+                () => bacon.once('home'),
+                /\/match\/(.+)\/supercoach/,
+                (matchId) => bacon.once(matchId)
+            );
+            const router = createWidget();
+            const otherRouter = createWidget();
+            const {values, unsubscribe} = collect(router);
+            const other = collect(otherRouter);
+
+            assert.notEqual(router.historyBus, otherRouter.historyBus);
+            assert.notEqual(router.historyBus, getBaconRouterHistoryBus());
+
+            router.historyBus.push({location: `${baseUrl}/match/m2/supercoach`, state: null, title: null});
+
+            assert.deepEqual(values, ['m1', 'm2']);
+            assert.deepEqual(other.values, ['m1']);
+
+            getBaconRouterHistoryBus().push({location: `${baseUrl}/match/m3/supercoach`, state: null, title: null});
+
+            assert.deepEqual(values, ['m1', 'm2', 'm3']);
+            assert.deepEqual(other.values, ['m1', 'm3']);
+
+            return tick().then(() => { // baconRouter scrolls once each route renders
+                other.unsubscribe();
+                otherRouter.dispose();
+                getBaconRouterHistoryBus().push({location: `${baseUrl}/`, state: null, title: null});
+
+                assert.deepEqual(values, ['m1', 'm2', 'm3', 'home']);
+                assert.deepEqual(other.values, ['m1', 'm3']);
+
+                return tick();
+            }).then(() => {
+                unsubscribe();
+                router.dispose();
+            });
+        });
+    });
+
+    describe('interceptLinks', () => {
+        it('pushes clicks on links within the baseUrl onto the history bus', () => {
+            const window = createWindow(`${baseUrl}/`);
+            const historyBus = new bacon.Bus();
+            const {values} = collect(historyBus);
+
+            window.document.body.innerHTML = `
+                <a id="user" href="/user/1">User</a>
+                <a id="replace" href="/user/2" data-router-replace>User</a>
+                <a id="external" href="http://www.example.org/">Elsewhere</a>
+                <a id="blank" href="/user/3" target="_blank">User</a>
+            `;
+
+            const links = interceptLinks(window.document.body, {historyBus, baseUrl});
+            const click = (id, options) => window.document.getElementById(id).dispatchEvent(
+                new window.MouseEvent('click', Object.assign({bubbles: true, cancelable: true, button: 0}, options))
+            );
+
+            assert.equal(click('user'), false); // Default prevented
+            click('replace');
+            click('user', {ctrlKey: true});
+            click('external');
+            click('blank');
+
+            assert.deepEqual(values, [
+                {location: `${baseUrl}/user/1`, title: undefined, shouldReplaceState: false},
+                {location: `${baseUrl}/user/2`, title: undefined, shouldReplaceState: true},
+            ]);
+
+            links.dispose();
+        });
+    });
+});
@@ -0,0 +1,168 @@
+import assert from 'assert';
+import bacon from 'baconjs';
+
+import {applyHead, renderHead, resolveHead, validateHead} from '../src/head';
+import {compileRoutes, matchLocation} from '../src/routes';
+import {createMemoryHistory, createRouter, resolveRoute} from '../index';
+import {collect, createWindow, restoreGlobals} from './helpers/window';
+
+const routes = [
+    {name: 'afl', path: '/afl', head: {og: {type: 'website', site_name: 'AFL'}}, children: [
+        {
+            name: 'afl.match',
+            path: '/match/:matchId',
+            handler: ({params}) => bacon.once({id: params.matchId, teams: 'Richmond v Carlton'}),
+            head: (match, {location}) => ({
+                title: `${match.teams} | AFL`,
+                canonical: `https://www.example.com${location}`,
+                og: {title: match.teams},
+            }),
+        },
+        {name: 'afl.ladder', path: '/ladder', handler: () => bacon.once('ladder')},
+    ]},
+];
+const defaultHead = {lang: 'en-AU', description: 'Live scores', meta: {robots: 'index'}};
+
+describe('validateHead', () => {
+    it('rejects unknown keys, and og and meta which aren\'t objects', () => {
+        assert.throws(() => validateHead('Route "afl"', {keywords: 'afl'}), /Route "afl" has an unknown head key "keywords"/);
+        assert.throws(() => validateHead('Route "afl"', {og: 'afl'}), /Route "afl" expects its head's og to be an object/);
+        assert.throws(() => validateHead('Router', 'AFL'), /Router expects its head to be an object or a function/);
+        assert.throws(() => compileRoutes([{name: 'afl', path: '/', handler: () => null, head: {keywords: 'afl'}}]), /unknown head key/);
+    });
+});
+
+describe('resolveHead', () => {
+    const matchers = compileRoutes(routes);
+
+    it('merges the default head with each route\'s, outermost first, calling functions with the routed value', () => {
+        const match = matchLocation(matchers, '', '/afl/match/123');
+
+        assert.deepEqual(resolveHead(match, {teams: 'Richmond v Carlton'}, defaultHead), {
+            lang: 'en-AU',
+            description: 'Live scores',
+            title: 'Richmond v Carlton | AFL',
+            canonical: 'https://www.example.com/afl/match/123',
+            og: {type: 'website', site_name: 'AFL', title: 'Richmond v Carlton'},
+            meta: {robots: 'index'},
+        });
+    });
+
+    it('only has the default head without a route', () => {
+        assert.deepEqual(resolveHead(matchLocation(matchers, '', '/nrl'), 'Not found', defaultHead), Object.assign({og: {}}, defaultHead));
+        assert.deepEqual(resolveHead(null, undefined), {og: {}, meta: {}});
+    });
+
+    it('warns about head functions which throw, skipping them', () => {
+        const warnings = [];
+        const {warn} = console;
+
+        console.warn = (warning) => warnings.push(warning);
+
+        try {
+            const head = resolveHead(matchLocation(matchers, '', '/afl/match/123'), null, defaultHead);
+
+            assert.equal(head.title, undefined);
+            assert.equal(head.og.site_name, 'AFL');
+        } finally {
+            console.warn = warn;
+        }
+
+        assert.equal(warnings.length, 1);
+        assert.ok(/^baconRouter: Route "afl.match"'s head was skipped\./.test(warnings[0]));
+    });
+});
+
+describe('renderHead', () => {
+    it('renders the title and tags, escaped, without the lang', () => {
+        const head = resolveHead(null, null, {
+            lang: 'en-AU',
+            title: 'Richmond <v> Carlton',
+            description: 'Tigers & "Blues"',
+            canonical: 'https://www.example.com/afl?round=1&match=2',
+            og: {title: 'Richmond v Carlton', image: null},
+        });
+
+        assert.equal(renderHead(head), [
+            '<title>Richmond &lt;v&gt; Carlton</title>',
+            '<link rel="canonical" href="https://www.example.com/afl?round=1&amp;match=2" data-router-head>',
+            '<meta name="description" content="Tigers &amp; &quot;Blues&quot;" data-router-head>',
+            '<meta property="og:title" content="Richmond v Carlton" data-router-head>',
+        ].join('\n'));
+    });
+});
+
+describe('applyHead', () => {
+    let window;
+
+    beforeEach(() => {
+        window = createWindow();
+        window.document.head.innerHTML = [
+            '<title>Example</title>',
+            '<meta name="description" content="From the page">',
+            '<meta name="viewport" content="width=device-width">',
+            '<meta property="og:title" content="From the server" data-router-head>',
+            '<meta property="og:image" content="/from-the-server.png" data-router-head>',
+        ].join('');
+    });
+
+    afterEach(restoreGlobals);
+
+    it('updates the document\'s tags in place, adding new ones and removing the router\'s stale ones', () => {
+        applyHead(window.document, resolveHead(null, null, {lang: 'en-AU', description: 'Live scores', og: {title: 'AFL'}}));
+
+        const tags = Array.prototype.map.call(window.document.head.children, (element) => element.outerHTML);
+
+        assert.deepEqual(tags, [
+            '<title>Example</title>',
+            '<meta name="description" content="Live scores" data-router-head="">',
+            '<meta name="viewport" content="width=device-width">',
+            '<meta property="og:title" content="AFL" data-router-head="">',
+        ]);
+        assert.equal(window.document.documentElement.lang, 'en-AU');
+
+        applyHead(window.document, resolveHead(null, null, {}));
+
+        assert.equal(window.document.head.querySelectorAll('[data-router-head]').length, 0);
+        assert.equal(window.document.documentElement.lang, 'en-AU'); // Left alone without a lang
+    });
+});
+
+describe('route heads', () => {
+    afterEach(restoreGlobals);
+
+    it('are applied in the browser as each route emits its value', () => {
+        const window = createWindow('http://www.example.com/afl/match/123');
+        const router = createRouter({baseUrl: 'http://www.example.com', routes, head: defaultHead, scroll: false});
+        const {unsubscribe} = collect(router);
+        const getContent = (selector) => window.document.head.querySelector(selector).getAttribute('content');
+
+        assert.equal(window.document.title, 'Richmond v Carlton | AFL');
+        assert.equal(getContent('meta[property="og:title"]'), 'Richmond v Carlton');
+        assert.equal(window.document.documentElement.lang, 'en-AU');
+
+        router.navigate('afl.ladder');
+
+        assert.equal(window.document.title, 'Richmond v Carlton | AFL'); // Titles carry on until a navigation or head sets one
+        assert.equal(window.document.head.querySelector('meta[property="og:title"]'), null);
+        assert.equal(getContent('meta[name="description"]'), 'Live scores');
+
+        unsubscribe();
+        router.dispose();
+    });
+
+    it('resolve to the same head on the server as in the browser', () => {
+        const history = createMemoryHistory({initialLocation: '/afl/match/123'});
+        const router = createRouter({baseUrl: '', routes, head: defaultHead, history});
+        const {unsubscribe} = collect(router);
+
+        return resolveRoute(routes, '/afl/match/123', {head: defaultHead}).then(({head, headHtml}) => {
+            assert.deepEqual(head, history.getHead());
+            assert.equal(headHtml, renderHead(history.getHead()));
+            assert.equal(history.getTitle(), head.title);
+
+            unsubscribe();
+            router.dispose();
+        });
+    });
+});
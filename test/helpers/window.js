@@ -0,0 +1,134 @@
+import {JSDOM} from 'jsdom';
+
+// Globals as they were before any test faked a browser, for restoreGlobals to put back.
+const originalGlobals = {
+    window: global.window,
+    browser: process.browser,
+};
+
+/**
+ * Run as if in the browser, with a jsdom window at the given URL.
+ *
+ * jsdom doesn't scroll, so window.scrollTo is stubbed to keep track of where the router scrolls to instead.
+ *
+ * @param  {String} [url='http://www.example.com/'] URL of the page
+ * @return {Window}                                 jsdom window, with its scrollCalls
+ */
+export function createWindow(url = 'http://www.example.com/') {
+    const {window} = new JSDOM('<!DOCTYPE html><title>Example</title><body></body>', {url});
+
+    window.scrollCalls = [];
+    window.scrollTo = (x, y) => window.scrollCalls.push([x, y]);
+
+    global.window = window;
+    process.browser = true;
+
+    return window;
+}
+
+/**
+ * Run as if in the browser, with a bare in-memory window at the given URL.
+ *
+ * jsdom can't reload pages, so this window has just enough of location and history for the browser history
+ * adapter, counting reloads rather than carrying them out. Like the browser, popstate fires on a later tick.
+ *
+ * @param  {String} [url='http://www.example.com/'] URL of the page
+ * @return {Object}                                 In-memory window, with its reloads count
+ */
+export function createMemoryWindow(url = 'http://www.example.com/') {
+    let entries = [{state: null, url}];
+    let index = 0;
+    let listeners = [];
+
+    const window = {
+        reloads: 0,
+        document: {title: ''},
+        location: {
+            get href() {
+                return entries[index].url;
+            },
+            reload: () => {
+                window.reloads++;
+            },
+        },
+        history: {
+            get state() {
+                return entries[index].state;
+            },
+            pushState: (state, title, location) => {
+                entries = entries.slice(0, index + 1).concat({state, url: location || entries[index].url});
+                index = entries.length - 1;
+            },
+            replaceState: (state, title, location) => {
+                entries[index] = {state, url: location || entries[index].url};
+            },
+            go: (delta) => setTimeout(() => {
+                index += delta;
+                listeners
+                    .filter((listener) => listener.type === 'popstate')
+                    .forEach(({callback}) => callback({state: entries[index].state, target: window}));
+            }),
+            back: () => window.history.go(-1),
+            forward: () => window.history.go(1),
+        },
+        addEventListener: (type, callback) => {
+            listeners = listeners.concat({type, callback});
+        },
+        removeEventListener: (type, callback) => {
+            listeners = listeners.filter((listener) => listener.type !== type || listener.callback !== callback);
+        },
+        getEntries: () => entries.slice(),
+    };
+
+    global.window = window;
+    process.browser = true;
+
+    return window;
+}
+
+/**
+ * Run as under Node again, without a window.
+ *
+ * @return {undefined}
+ */
+export function restoreGlobals() {
+    if (global.window && global.window.close) {
+        global.window.close();
+    }
+
+    global.window = originalGlobals.window;
+    process.browser = originalGlobals.browser;
+}
+
+/**
+ * Wait for the browser's later ticks, e.g. popstate events and the router's scrolling.
+ *
+ * Waiting one more tick once the time's up lets timers set by whatever ran meanwhile (like scrolling once a
+ * popstate has been routed) go first, however long it took.
+ *
+ * @param  {Number}  [ms=10] How long to wait
+ * @return {Promise}         Resolves once the time's up
+ */
+export function tick(ms = 10) {
+    return new Promise((resolve) => setTimeout(() => setTimeout(resolve), ms));
+}
+
+/**
+ * Collect the values (and errors) a stream emits, staying subscribed until told to stop.
+ *
+ * @param  {Observable} stream Stream to subscribe to
+ * @return {Object}            {values, errors, unsubscribe}
+ */
+export function collect(stream) {
+    const values = [];
+    const errors = [];
+    const unsubscribe = stream.subscribe((event) => {
+        if (event.isError()) {
+            errors.push(event.error);
+        } else if (event.hasValue()) {
+            values.push(event.value());
+        }
+    });
+
+    return {values, errors, unsubscribe};
+}
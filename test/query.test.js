@@ -0,0 +1,69 @@
+import assert from 'assert';
+
+import {applyQuerySchema, parseQuery, stringifyQuery, validateQuerySchema} from '../src/query';
+
+describe('parseQuery', () => {
+    it('decodes keys and values, with + as a space', () => {
+        assert.deepEqual(parseQuery('q=bacon+router&name=j%C3%B6rg'), {q: 'bacon router', name: 'jörg'});
+    });
+
+    it('collects repeated keys and key[] into arrays', () => {
+        assert.deepEqual(parseQuery('tag=a&tag=b&id[]=1'), {tag: ['a', 'b'], id: ['1']});
+    });
+
+    it('parses keys without values as empty strings', () => {
+        assert.deepEqual(parseQuery('detailed&tab='), {detailed: '', tab: ''});
+    });
+
+    it('builds nested objects from a[b] keys', () => {
+        assert.deepEqual(parseQuery('filter[team]=7&filter[round][]=1&filter[round][]=2'), {filter: {team: '7', round: ['1', '2']}});
+    });
+
+    it('ignores empty and malformed pairs, and keys reaching into Object.prototype', () => {
+        const query = parseQuery('&tab=stats&bad=%E0%A4%A&__proto__[polluted]=1&constructor=x&');
+
+        assert.deepEqual(query, {tab: 'stats'});
+        assert.equal({}.polluted, undefined);
+    });
+});
+
+describe('stringifyQuery', () => {
+    it('encodes keys and values, skipping undefined and null', () => {
+        assert.equal(stringifyQuery({q: 'bacon router', skip: undefined, none: null, detailed: false}), 'q=bacon%20router&detailed=false');
+    });
+
+    it('repeats keys for arrays, nests objects and leaves empty strings without values', () => {
+        assert.equal(stringifyQuery({tag: ['a', 'b'], filter: {team: 7}, flag: ''}), 'tag=a&tag=b&filter[team]=7&flag');
+    });
+
+    it('round trips through parseQuery', () => {
+        const query = {q: 'a&b=c', tag: ['x', 'y'], filter: {team: '7'}};
+
+        assert.deepEqual(parseQuery(stringifyQuery(query)), query);
+    });
+});
+
+describe('applyQuerySchema', () => {
+    const schema = {
+        round: 'number',
+        detailed: 'boolean',
+        tab: 'string',
+        tag: 'array',
+        since: (value) => new Date(value),
+    };
+
+    it('coerces the values the schema names, leaving the rest alone', () => {
+        assert.deepEqual(
+            applyQuerySchema({round: '3', detailed: '', tab: ['a', 'b'], tag: 'x', since: '2019-01-01', other: '1'}, schema),
+            {round: 3, detailed: true, tab: 'b', tag: ['x'], since: new Date('2019-01-01'), other: '1'}
+        );
+    });
+
+    it('drops values which can\'t be coerced', () => {
+        assert.deepEqual(applyQuerySchema({round: 'first', detailed: 'maybe'}, schema), {round: undefined, detailed: undefined});
+    });
+
+    it('rejects unknown types', () => {
+        assert.throws(() => validateQuerySchema('results', {round: 'integer'}), /unknown query type "integer" for "round"/);
+    });
+});
@@ -0,0 +1,87 @@
+import assert from 'assert';
+
+import {compileRoutes} from '../src/routes';
+import {rankMatchers} from '../src/rank';
+
+const handler = () => null;
+
+/**
+ * Rank routes, collecting the warnings rather than logging them.
+ *
+ * @param  {Object[]} routes Route definitions
+ * @return {Object}          {names, warnings}, the ranked route names and the warnings
+ */
+function rank(routes) {
+    const warnings = [];
+    const names = rankMatchers(compileRoutes(routes), (warning) => warnings.push(warning)).map(({route}) => route.name);
+
+    return {names, warnings};
+}
+
+describe('rankMatchers', () => {
+    it('ranks static segments over patterned params, params and wildcards', () => {
+        const {names, warnings} = rank([
+            {name: 'rest', path: '/user/:rest*', handler},
+            {name: 'any', path: '/user/:name', handler},
+            {name: 'id', path: '/user/:id(\\d+)', handler},
+            {name: 'me', path: '/user/me', handler},
+        ]);
+
+        assert.deepEqual(names, ['me', 'id', 'any', 'rest']);
+        assert.deepEqual(warnings, []);
+    });
+
+    it('ranks longer paths first, unless their extra segments are optional', () => {
+        assert.deepEqual(rank([
+            {name: 'user', path: '/user/:id', handler},
+            {name: 'user.tab', path: '/user/:id/:tab', handler},
+        ]).names, ['user.tab', 'user']);
+        assert.deepEqual(rank([
+            {name: 'user.tab', path: '/user/:tab?', handler},
+            {name: 'user', path: '/user', handler},
+        ]).names, ['user', 'user.tab']);
+    });
+
+    it('ranks exact matches, even the root, over wildcards which can match nothing', () => {
+        const {names, warnings} = rank([
+            {name: 'all', path: '/(.*)', handler},
+            {name: 'rest', path: '/:rest*', handler},
+            {name: 'home', path: '/', handler},
+        ]);
+
+        assert.deepEqual(names, ['home', 'all', 'rest']);
+        assert.deepEqual(warnings, []);
+    });
+
+    it('tries RegExp routes last, in their listed order', () => {
+        assert.deepEqual(rank([
+            {name: 'first', path: /^\/user/, handler},
+            {name: 'second', path: /^\//, handler},
+            {name: 'any', path: '/:page', handler},
+        ]).names, ['any', 'first', 'second']);
+    });
+
+    it('warns about RegExp routes behind a String catch-all', () => {
+        assert.deepEqual(rank([
+            {name: 'supercoach', path: /^\/supercoach/, handler},
+            {name: 'all', path: '/(.*)', handler},
+        ]).warnings, [
+            'baconRouter: Route "supercoach" is unreachable, RegExp routes are tried after String routes and "all" matches every path',
+        ]);
+    });
+
+    it('warns about unreachable and ambiguous routes', () => {
+        const {warnings} = rank([
+            {name: 'user', path: '/user/:id', handler},
+            {name: 'user.name', path: '/user/:name', handler},
+            {name: 'team', path: '/team/:id(\\d+)', handler},
+            {name: 'team.slug', path: '/team/:slug([a-z]+)', handler},
+        ]);
+
+        assert.deepEqual(warnings, [
+            'baconRouter: Routes "team" and "team.slug" rank the same and may match the same paths, '
+                + '"team" is tried first as it\'s listed first',
+            'baconRouter: Route "user.name" is unreachable, "user" matches the same paths',
+        ]);
+    });
+});
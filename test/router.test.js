@@ -0,0 +1,349 @@
+import assert from 'assert';
+import bacon from 'baconjs';
+
+import {createMemoryHistory, createRouter, errorCodes, eventTypes} from '../index';
+import {collect, tick} from './helpers/window';
+
+/**
+ * Create a router over an in-memory history, along with what its route stream emits.
+ *
+ * @param  {Object} [options]                     createRouter options, on top of the test routes
+ * @param  {String} [options.initialLocation='/'] Location of the history's first entry
+ * @return {Object}                               {router, history, values, errors, unsubscribe}
+ */
+function createTestRouter(options = {}) {
+    const history = createMemoryHistory({initialLocation: options.initialLocation || '/'});
+    const router = createRouter(Object.assign({
+        baseUrl: '',
+        history,
+        routes: [
+            {name: 'home', path: '/', handler: () => bacon.once('home')},
+            {name: 'user', path: '/user/:userId', handler: ({params, query}) => bacon.once(Object.assign({page: 'user'}, params, query))},
+            {name: 'broken', path: '/broken', handler: () => bacon.once(new bacon.Error('Broken'))},
+        ],
+    }, options));
+
+    return Object.assign({router, history}, collect(router));
+}
+
+describe('createRouter', () => {
+    describe('booting', () => {
+        it('routes the history\'s location, replacing its entry rather than pushing a new one', () => {
+            const {history, values, unsubscribe} = createTestRouter({initialLocation: '/user/1'});
+            const entries = history.getEntries();
+
+            assert.deepEqual(values, [{page: 'user', userId: '1'}]);
+            assert.equal(entries.length, 1);
+            assert.equal(entries[0].location, '/user/1');
+            assert.equal(entries[0].state.location, '/user/1');
+            assert.equal(entries[0].state.index, 0);
+            assert.equal(typeof entries[0].state.id, 'string');
+
+            unsubscribe();
+        });
+
+        it('routes the initialPath, relative to the baseUrl', () => {
+            const {values, unsubscribe} = createTestRouter({baseUrl: '/app', initialPath: 'user/2'});
+
+            assert.deepEqual(values, [{page: 'user', userId: '2'}]);
+
+            unsubscribe();
+        });
+
+        it('carries on the state of the entry it boots on, as after a reload', () => {
+            const history = createMemoryHistory({initialLocation: '/user/1'});
+
+            history.replace({state: {tab: 'stats'}, title: 'User', location: '/user/1', index: 0, id: 'a'}, 'User');
+
+            const router = createRouter({
+                baseUrl: '',
+                history,
+                routes: [{name: 'user', path: '/user/:userId', handler: () => bacon.once(1)}],
+            });
+            const {values, unsubscribe} = collect(router.current);
+
+            assert.deepEqual(values[0].state, {tab: 'stats'});
+
+            unsubscribe();
+        });
+    });
+
+    describe('navigating', () => {
+        it('pushes a history entry per navigation', () => {
+            const {router, history, values, unsubscribe} = createTestRouter();
+
+            router.historyBus.push({location: '/user/1?tab=stats', state: {from: 'home'}, title: 'User 1'});
+
+            assert.deepEqual(values, ['home', {page: 'user', userId: '1', tab: 'stats'}]);
+            assert.deepEqual(history.getEntries().map(({location}) => location), ['/', '/user/1?tab=stats']);
+            assert.deepEqual(history.getState().state, {from: 'home'});
+            assert.equal(history.getState().index, 1);
+            assert.equal(history.getTitle(), 'User 1');
+
+            unsubscribe();
+        });
+
+        it('replaces the current entry with shouldReplaceState', () => {
+            const {router, history, values, unsubscribe} = createTestRouter();
+
+            router.historyBus.push({location: '/user/1', state: null, title: null});
+            router.historyBus.push({location: '/user/2', state: null, title: null, shouldReplaceState: true});
+
+            assert.deepEqual(values.map(({userId}) => userId), [undefined, '1', '2']);
+            assert.deepEqual(history.getEntries().map(({location}) => location), ['/', '/user/2']);
+            assert.equal(history.getState().index, 1);
+
+            unsubscribe();
+        });
+
+        it('skips navigations to the location already showing', () => {
+            const {router, values, unsubscribe} = createTestRouter();
+
+            router.historyBus.push({location: '/user/1', state: null, title: 'User'});
+            router.historyBus.push({location: '/user/1', state: null, title: 'User'});
+
+            assert.equal(values.length, 2);
+
+            unsubscribe();
+        });
+
+        it('navigates to named routes, validating their state', () => {
+            const {router, history, unsubscribe} = createTestRouter();
+
+            assert.equal(router.navigate('user', {userId: 'a b'}, {query: {tab: 'stats'}, hash: 'top'}), '/user/a%20b?tab=stats#top');
+            assert.equal(history.getLocation(), '/user/a%20b?tab=stats#top');
+            assert.throws(() => router.navigate('user', {userId: '1'}, {state: {at: new Date()}}), /Invalid history state/);
+
+            unsubscribe();
+        });
+    });
+
+    describe('back/forward navigations', () => {
+        it('replays the entry\'s location and state', () => {
+            const {router, history, values, unsubscribe} = createTestRouter();
+            const current = collect(router.current);
+
+            router.historyBus.push({location: '/user/1', state: {tab: 'stats'}, title: 'User 1'});
+            router.historyBus.push({location: '/user/2', state: null, title: 'User 2'});
+            history.back();
+
+            assert.deepEqual(values.map(({userId}) => userId), [undefined, '1', '2', '1']);
+            assert.deepEqual(current.values[3].state, {tab: 'stats'});
+            assert.equal(history.getTitle(), 'User 1');
+            assert.equal(history.getEntries().length, 3);
+
+            current.unsubscribe();
+            unsubscribe();
+        });
+
+        it('routes entries the router didn\'t write as a navigation replacing them', () => {
+            const {router, history, values, unsubscribe} = createTestRouter();
+
+            router.historyBus.push({location: '/user/1', state: null, title: null});
+            history.push(null, '', '/user/3'); // e.g. a hand edited hash
+            history.back();
+            history.forward();
+
+            assert.deepEqual(values.map(({userId}) => userId), [undefined, '1', '1', '3']);
+            assert.equal(history.getState().location, '/user/3');
+
+            unsubscribe();
+        });
+    });
+
+    describe('errors', () => {
+        it('hands malformed URLs to onError', () => {
+            const {values, unsubscribe} = createTestRouter({
+                initialLocation: '/user/%E0%A4%A',
+                onError: ({code, location}) => bacon.once({code, location}),
+            });
+
+            assert.deepEqual(values, [{code: errorCodes.malformedUrl, location: '/user/%E0%A4%A'}]);
+
+            unsubscribe();
+        });
+
+        it('emits malformed URLs, and handler errors, as errors without onError', () => {
+            const {router, errors, unsubscribe} = createTestRouter({initialLocation: '/user/%E0%A4%A'});
+
+            router.historyBus.push({location: '/broken', state: null, title: null});
+
+            assert.equal(errors[0].type, errorCodes.malformedUrl);
+            assert.equal(errors[1], 'Broken');
+
+            unsubscribe();
+        });
+
+        it('hands unmatched locations to notFound', () => {
+            const {values, unsubscribe} = createTestRouter({
+                initialLocation: '/team/7?from=nav',
+                notFound: ({path, query}) => bacon.once({status: 404, path, query}),
+            });
+
+            assert.deepEqual(values, [{status: 404, path: '/team/7', query: {from: 'nav'}}]);
+
+            unsubscribe();
+        });
+    });
+
+    describe('guards', () => {
+        it('redirects, replacing the entry', () => {
+            const {router, history, values, unsubscribe} = createTestRouter({
+                beforeEach: ({to}) => (to.params.userId === 'me' ? {name: 'user', params: {userId: '1'}} : true),
+            });
+
+            router.historyBus.push({location: '/user/me', state: null, title: null});
+
+            assert.deepEqual(values.map(({userId}) => userId), [undefined, '1']);
+            assert.deepEqual(history.getEntries().map(({location}) => location), ['/', '/user/1']);
+
+            unsubscribe();
+        });
+
+        it('cancels navigations, travelling back for back/forward ones', () => {
+            let isLeavingAllowed = true;
+
+            const {router, history, values, unsubscribe} = createTestRouter({
+                beforeEach: ({from}) => !from || from.route.name !== 'user' || isLeavingAllowed,
+            });
+
+            router.historyBus.push({location: '/user/1', state: null, title: null});
+            isLeavingAllowed = false;
+            router.historyBus.push({location: '/', state: null, title: null});
+            history.back();
+
+            assert.deepEqual(values.map(({userId}) => userId), [undefined, '1']);
+            assert.equal(history.getLocation(), '/user/1');
+            assert.equal(history.getEntries().length, 2);
+
+            unsubscribe();
+        });
+    });
+
+    describe('redirect and alias routes', () => {
+        const routes = [
+            {name: 'home', path: '/', handler: () => bacon.once('home')},
+            {name: 'football.afl', path: '/football/afl/:rest*', handler: ({params}) => bacon.once(`afl ${params.rest}`)},
+            {name: 'afl', path: '/afl/:rest*', redirect: '/football/afl/:rest*'},
+            {name: 'footy', path: '/footy', alias: 'football.afl'},
+            {name: 'loop.a', path: '/loop/a', redirect: () => ({name: 'loop.b'})},
+            {name: 'loop.b', path: '/loop/b', redirect: '/loop/a'},
+        ];
+
+        it('redirects pushed navigations straight to the target, without an entry for the redirect route', () => {
+            const {router, history, values, unsubscribe} = createTestRouter({routes, initialLocation: '/'});
+
+            router.historyBus.push({location: '/afl/match/123?tab=stats', state: {from: 'nav'}, title: null});
+
+            assert.deepEqual(values, ['home', 'afl match/123']);
+            assert.deepEqual(history.getEntries().map(({location}) => location), ['/', '/football/afl/match/123?tab=stats']);
+            assert.deepEqual(history.getState().state, {from: 'nav'}); // Redirect routes keep the navigation's state
+
+            unsubscribe();
+        });
+
+        it('replaces the entry it boots on', () => {
+            const {history, values, unsubscribe} = createTestRouter({routes, initialLocation: '/afl/ladder'});
+
+            assert.deepEqual(values, ['afl ladder']);
+            assert.deepEqual(history.getEntries().map(({location}) => location), ['/football/afl/ladder']);
+
+            unsubscribe();
+        });
+
+        it('routes aliases as their target route, without changing the location', () => {
+            const {router, history, values, unsubscribe} = createTestRouter({routes, initialLocation: '/footy'});
+            const current = collect(router.current);
+
+            assert.deepEqual(values, ['afl undefined']);
+            assert.equal(history.getLocation(), '/footy');
+            assert.equal(current.values[0].name, 'football.afl');
+            assert.equal(router.href('footy'), '/footy');
+
+            current.unsubscribe();
+            unsubscribe();
+        });
+
+        it('hands redirect loops to onError', () => {
+            const {values, unsubscribe} = createTestRouter({
+                routes,
+                initialLocation: '/loop/a',
+                onError: ({code, error}) => bacon.once({code, locations: error.data.locations}),
+            });
+
+            assert.deepEqual(values, [{code: errorCodes.redirectLoop, locations: ['/loop/a', '/loop/b', '/loop/a']}]);
+
+            unsubscribe();
+        });
+    });
+
+    describe('current and isActive', () => {
+        it('describes the committed route', () => {
+            const {router, unsubscribe} = createTestRouter({initialLocation: '/user/1?tab=stats'});
+            const current = collect(router.current);
+            const isActive = collect(router.isActive('user', {userId: 1}));
+
+            router.historyBus.push({location: '/', state: null, title: 'Home'});
+
+            assert.deepEqual(current.values.map(({name}) => name), ['user', 'home']);
+            assert.deepEqual(current.values[0].query, {tab: 'stats'});
+            assert.equal(current.values[1].previous.name, 'user');
+            assert.deepEqual(isActive.values, [true, false]);
+
+            current.unsubscribe();
+            isActive.unsubscribe();
+            unsubscribe();
+        });
+    });
+
+    describe('events', () => {
+        it('reports each step of a navigation', () => {
+            const {router, unsubscribe} = createTestRouter();
+            const events = collect(router.events);
+
+            router.historyBus.push({location: '/user/1', state: null, title: null});
+
+            assert.deepEqual(events.values.map(({type}) => type), [
+                eventTypes.navigationStart,
+                eventTypes.routeMatched,
+                eventTypes.handlerResolved,
+            ]);
+            assert.equal(events.values[1].name, 'user');
+            assert.equal(events.values[1].navigationType, 'push');
+
+            events.unsubscribe();
+            unsubscribe();
+        });
+    });
+
+    describe('lazy routes', () => {
+        it('emits a loading value until the handler has loaded', () => {
+            const route = {name: 'stats', path: '/stats', lazy: () => Promise.resolve({default: () => bacon.once('stats')})};
+            const {values, unsubscribe} = createTestRouter({initialLocation: '/stats', routes: [route]});
+
+            return tick().then(() => {
+                assert.deepEqual(values, [{status: 'loading', route}, 'stats']);
+
+                unsubscribe();
+            });
+        });
+    });
+
+    describe('dispose', () => {
+        it('ends the route stream and stops listening to the history', () => {
+            const {router, history, values} = createTestRouter();
+
+            let hasEnded = false;
+
+            router.onEnd(() => {
+                hasEnded = true;
+            });
+            router.dispose();
+            history.push(null, '', '/user/1');
+            history.back();
+
+            assert.equal(hasEnded, true);
+            assert.deepEqual(values, ['home']);
+        });
+    });
+});
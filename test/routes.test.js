@@ -0,0 +1,249 @@
+import assert from 'assert';
+
+import {buildLocation, compileRoutes, matchLocation} from '../src/routes';
+import {defaultQueryCodec} from '../src/query';
+import {errorCodes} from '../src/errors';
+
+const handler = () => null;
+
+describe('compileRoutes', () => {
+    it('rejects routes without a name or handler, and duplicate names', () => {
+        assert.throws(() => compileRoutes({}), /routes should be an array/);
+        assert.throws(() => compileRoutes([{path: '/', handler}]), /Route at index 0 is missing a name/);
+        assert.throws(() => compileRoutes([{name: 'home', path: '/'}]), /Route "home" expects a handler function/);
+        assert.throws(
+            () => compileRoutes([{name: 'home', path: '/', handler}, {name: 'home', path: '/home', handler}]),
+            /Duplicate route name "home"/
+        );
+    });
+
+    it('rejects paths which are neither a String nor a RegExp', () => {
+        assert.throws(() => compileRoutes([{name: 'home', path: 42, handler}]), /unknown route test method/);
+    });
+
+    it('flattens nested routes, parents first, with their paths joined', () => {
+        const matchers = compileRoutes([
+            {name: 'team', path: '/team/:teamId', handler, children: [
+                {name: 'team.fixtures', path: '/fixtures', handler},
+            ]},
+        ]);
+
+        assert.deepEqual(matchers.map(({route}) => route.name), ['team.fixtures']);
+        assert.deepEqual(matchers[0].chain.map(({name}) => name), ['team', 'team.fixtures']);
+    });
+});
+
+describe('matchLocation', () => {
+    describe('String paths', () => {
+        const matchers = compileRoutes([
+            {name: 'home', path: '/', handler},
+            {name: 'user', path: '/user/:userId', handler, pageType: 'user'},
+            {name: 'user.any', path: '/user/:anything', handler},
+            {name: 'team', path: '/team/:teamId', handler, children: [
+                {name: 'team.fixtures', path: '/fixtures', handler},
+            ]},
+        ]);
+
+        it('matches the first route listed, with its decoded params', () => {
+            const match = matchLocation(matchers, '', '/user/j%C3%B6rg');
+
+            assert.equal(match.route.name, 'user');
+            assert.equal(match.route.pageType, 'user');
+            assert.equal(match.path, '/user/jörg');
+            assert.deepEqual(match.params, {userId: 'jörg'});
+        });
+
+        it('ignores the baseUrl', () => {
+            const match = matchLocation(matchers, 'http://www.example.com/app', 'http://www.example.com/app/user/1');
+
+            assert.equal(match.location, 'http://www.example.com/app/user/1');
+            assert.deepEqual(match.params, {userId: '1'});
+        });
+
+        it('splits off the query and hash', () => {
+            const match = matchLocation(matchers, '', '/user/1?tab=stats&tag=a&tag=b#latest');
+
+            assert.equal(match.route.name, 'user');
+            assert.deepEqual(match.query, {tab: 'stats', tag: ['a', 'b']});
+            assert.equal(match.hash, 'latest');
+            assert.deepEqual(match.args, [{params: {userId: '1'}, query: match.query, hash: 'latest', route: match.route}]);
+        });
+
+        it('hands each level of a nested route the params of its part of the path', () => {
+            const match = matchLocation(matchers, '', '/team/7/fixtures');
+
+            assert.equal(match.route.name, 'team.fixtures');
+            assert.deepEqual(match.chain.map(({route, params}) => [route.name, params]), [
+                ['team', {teamId: '7'}],
+                ['team.fixtures', {teamId: '7'}],
+            ]);
+        });
+
+        it('comes back without a route when nothing matches', () => {
+            const match = matchLocation(matchers, '', '/team/7?from=nav#top');
+
+            assert.equal(match.route, null);
+            assert.deepEqual(match.chain, []);
+            assert.equal(match.path, '/team/7');
+            assert.deepEqual(match.query, {from: 'nav'});
+            assert.equal(match.hash, 'top');
+        });
+    });
+
+    describe('typed params', () => {
+        const matchers = compileRoutes([
+            {name: 'user', path: '/user/:id(int)', handler},
+            {name: 'user.named', path: '/user/:name(slug)', handler},
+            {name: 'results', path: '/results/:date(isoDate)', handler},
+            {name: 'ticket', path: '/ticket/:code(code)', handler},
+        ], {
+            paramTypes: {
+                code: {pattern: '[A-Z]{3}', parse: (value) => value.toLowerCase()},
+            },
+        });
+
+        it('parses params for their types', () => {
+            assert.deepEqual(matchLocation(matchers, '', '/user/-12').params, {id: -12});
+            assert.deepEqual(matchLocation(matchers, '', '/results/2019-02-28').params, {date: new Date(Date.UTC(2019, 1, 28))});
+            assert.deepEqual(matchLocation(matchers, '', '/ticket/ABC').params, {code: 'abc'});
+        });
+
+        it('falls through to the next route for params which aren\'t valid for their type', () => {
+            assert.equal(matchLocation(matchers, '', '/user/jorg').route.name, 'user.named');
+            assert.equal(matchLocation(matchers, '', '/user/99999999999999999999').route.name, 'user.named');
+            assert.equal(matchLocation(matchers, '', '/results/2019-02-30').route, null);
+        });
+
+        it('rejects custom types with groups in their pattern', () => {
+            assert.throws(
+                () => compileRoutes([], {paramTypes: {code: {pattern: '([A-Z]+)'}}}),
+                /Param type "code" expects a String pattern, without any groups/
+            );
+        });
+    });
+
+    // Named groups are built with new RegExp, as they're newer than the syntax ESLint is set up for.
+    describe('RegExp paths', () => {
+        it('hands named groups over as params, tested against the decoded path', () => {
+            const matchers = compileRoutes([
+                {name: 'supercoach', path: new RegExp('^/(?<matchId>[^/]+)/supercoach$'), handler, querySchema: {round: 'number'}},
+            ]);
+            const match = matchLocation(matchers, '', '/a%20b/supercoach?round=3#team');
+
+            assert.equal(match.route.name, 'supercoach');
+            assert.deepEqual(match.params, {matchId: 'a b'});
+            assert.deepEqual(match.query, {round: 3});
+            assert.equal(match.hash, 'team');
+        });
+
+        it('keys unnamed captures by position', () => {
+            const matchers = compileRoutes([{name: 'match', path: /^\/match\/(\d+)\/(\w+)$/, handler}]);
+
+            assert.deepEqual(matchLocation(matchers, '', '/match/12/stats').params, {0: '12', 1: 'stats'});
+        });
+
+        it('tests the whole location and hands captures over as args, with positionalRegExpArgs', () => {
+            const matchers = compileRoutes([{name: 'match', path: /(.+)\/supercoach\?round=(\d+)/, handler}], {
+                positionalRegExpArgs: true,
+            });
+            const match = matchLocation(matchers, '', '/m123/supercoach?round=3');
+
+            assert.equal(match.route.name, 'match');
+            assert.deepEqual(match.args, ['/m123', '3']);
+        });
+    });
+
+    describe('malformed URLs', () => {
+        const matchers = compileRoutes([{name: 'user', path: '/user/:userId', handler}]);
+
+        it('throws a malformed URL error for paths which can\'t be decoded', () => {
+            assert.throws(() => matchLocation(matchers, '', '/user/%E0%A4%A'), (error) => (
+                error.type === errorCodes.malformedUrl && error.data.url === '/user/%E0%A4%A'
+            ));
+        });
+
+        it('ignores malformed query pairs', () => {
+            assert.deepEqual(matchLocation(matchers, '', '/user/1?tag=%E0%A4%A&tab=stats').query, {tab: 'stats'});
+        });
+    });
+});
+
+describe('redirect and alias routes', () => {
+    const matchers = compileRoutes([
+        {name: 'results', path: '/results/:date(isoDate)', handler},
+        {name: 'afl', path: '/afl/:rest*', redirect: '/football/afl/:rest*'},
+        {name: 'scores', path: '/scores/:date(isoDate)', redirect: ({params}) => ({name: 'results', params}), redirectStatus: 302},
+        {name: 'latest', path: '/latest/:date(isoDate)', alias: 'results'},
+    ]);
+
+    it('rejects redirects and aliases alongside handlers, and aliases of routes without one', () => {
+        assert.throws(() => compileRoutes([{name: 'afl', path: '/afl', handler, redirect: '/'}]), /can only redirect or be an alias/);
+        assert.throws(() => compileRoutes([{name: 'afl', path: '/afl', redirect: 42}]), /expects its redirect to be a String path/);
+        assert.throws(() => compileRoutes([{name: 'afl', path: '/afl', redirect: '/', redirectStatus: 200}]), /expects its redirectStatus/);
+        assert.throws(() => compileRoutes([{name: 'afl', path: '/afl', alias: 'football'}]), /is an alias of "football"/);
+    });
+
+    it('builds String redirects from the match\'s params, keeping its query string and hash', () => {
+        assert.deepEqual(matchLocation(matchers, '/app', '/app/afl/match/123?tab=stats#top').redirect, {
+            target: '/app/football/afl/match/123?tab=stats#top',
+            status: 301,
+        });
+    });
+
+    it('calls redirect functions with the match', () => {
+        assert.deepEqual(matchLocation(matchers, '', '/scores/2019-02-28').redirect, {
+            target: {name: 'results', params: {date: new Date(Date.UTC(2019, 1, 28))}},
+            status: 302,
+        });
+    });
+
+    it('matches aliases as their target route, still building their own path', () => {
+        const match = matchLocation(matchers, '', '/latest/2019-02-28');
+
+        assert.equal(match.route.name, 'results');
+        assert.deepEqual(match.chain.map(({route}) => route.name), ['results']);
+        assert.equal(match.redirect, undefined);
+        assert.equal(
+            buildLocation(matchers, {baseUrl: '', queryCodec: defaultQueryCodec}, {name: 'latest', params: match.params}),
+            '/latest/2019-02-28'
+        );
+    });
+});
+
+describe('buildLocation', () => {
+    const matchers = compileRoutes([
+        {name: 'user', path: '/user/:userId', handler},
+        {name: 'results', path: '/results/:date(isoDate)', handler},
+        {name: 'supercoach', path: new RegExp('^/(?<matchId>.+)/supercoach$'), handler},
+    ]);
+    const options = {baseUrl: '/app', queryCodec: defaultQueryCodec};
+
+    it('builds locations from params, query and hash', () => {
+        assert.equal(
+            buildLocation(matchers, options, {name: 'user', params: {userId: 'a b'}, query: {tab: 'stats'}, hash: 'top'}),
+            '/app/user/a%20b?tab=stats#top'
+        );
+        assert.equal(
+            buildLocation(matchers, options, {name: 'results', params: {date: new Date(Date.UTC(2019, 1, 28))}}),
+            '/app/results/2019-02-28'
+        );
+    });
+
+    it('builds locations which match back to the same route, params and hash', () => {
+        const target = {name: 'user', params: {userId: 'a/b?c%d#e'}, query: {tab: 'stats'}, hash: 'h s#1'};
+        const location = buildLocation(matchers, options, target);
+        const match = matchLocation(matchers, '/app', location);
+
+        assert.equal(location, '/app/user/a%2Fb%3Fc%25d%23e?tab=stats#h%20s%231');
+        assert.equal(match.route.name, 'user');
+        assert.deepEqual(match.params, target.params);
+        assert.deepEqual(match.query, target.query);
+        assert.equal(match.hash, target.hash);
+    });
+
+    it('throws for unknown routes, missing params and RegExp paths', () => {
+        assert.throws(() => buildLocation(matchers, options, {name: 'team'}), /Unknown route "team"/);
+        assert.throws(() => buildLocation(matchers, options, {name: 'user'}), /Missing required param "userId"/);
+        assert.throws(() => buildLocation(matchers, options, {name: 'supercoach'}), /has a RegExp path/);
+    });
+});
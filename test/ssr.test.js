@@ -0,0 +1,179 @@
+import assert from 'assert';
+import bacon from 'baconjs';
+
+import baconRouter, {createRouter, getBaconRouterHistoryBus, resolveRoute} from '../index';
+import {collect} from './helpers/window';
+
+const routes = [
+    {name: 'home', path: '/', handler: () => bacon.once('home')},
+    {name: 'user', path: '/user/:userId(int)', handler: ({params}) => bacon.later(1, params.userId)},
+    {name: 'account', path: '/account', handler: () => bacon.once('account'), beforeEnter: () => ({name: 'user', params: {userId: 1}})},
+    {name: 'admin', path: '/admin', handler: () => bacon.once('admin'), beforeEnter: () => false},
+    {name: 'settings', path: '/settings', handler: () => bacon.once('settings'), beforeEnter: () => Promise.resolve({name: 'nope'})},
+    {name: 'broken', path: '/broken', handler: () => bacon.once(new bacon.Error('Broken'))},
+    {name: 'empty', path: '/empty', handler: () => bacon.once('empty').filter(() => false)},
+    {name: 'never', path: '/never', handler: () => bacon.never()},
+    {name: 'pending', path: '/pending', handler: () => bacon.later(1000, 'pending')},
+    {name: 'stats', path: '/stats', lazy: () => Promise.resolve({default: () => bacon.once('stats')})},
+    {name: 'profile', path: '/profile/:userId(int)', redirect: '/user/:userId'},
+    {name: 'me', path: '/me', redirect: () => '/profile/1', redirectStatus: 302},
+    {name: 'loop', path: '/loop', redirect: '/loop'},
+];
+
+describe('under Node', () => {
+    beforeEach(() => {
+        assert.equal(process.browser, undefined);
+        assert.equal(global.window, undefined);
+    });
+
+    describe('resolveRoute', () => {
+        it('resolves matched routes with their first value', () => (
+            resolveRoute(routes, 'http://www.example.com/user/12?tab=stats', {baseUrl: 'http://www.example.com'})
+                .then((result) => {
+                    assert.deepEqual(result, {
+                        status: 200,
+                        location: 'http://www.example.com/user/12?tab=stats',
+                        name: 'user',
+                        params: {userId: 12},
+                        query: {tab: 'stats'},
+                        hash: '',
+                        value: 12,
+                        head: {og: {}, meta: {}},
+                        headHtml: '',
+                    });
+                })
+        ));
+
+        it('waits for lazy handlers, without loading values', () => (
+            resolveRoute(routes, '/stats').then(({status, value}) => {
+                assert.equal(status, 200);
+                assert.equal(value, 'stats');
+            })
+        ));
+
+        it('resolves unmatched locations as 404s, rendered by notFound', () => (
+            Promise.all([
+                resolveRoute(routes, '/team/7'),
+                resolveRoute(routes, '/team/7', {notFound: ({path}) => bacon.once(`Nothing at ${path}`)}),
+            ]).then(([result, notFoundResult]) => {
+                assert.deepEqual(result, {
+                    status: 404,
+                    location: '/team/7',
+                    path: '/team/7',
+                    query: {},
+                    hash: '',
+                    head: {og: {}, meta: {}},
+                    headHtml: '',
+                });
+                assert.equal(notFoundResult.status, 404);
+                assert.equal(notFoundResult.value, 'Nothing at /team/7');
+            })
+        ));
+
+        it('resolves malformed URLs as 400s, rendered by onError', () => (
+            resolveRoute(routes, '/user/%E0%A4%A', {onError: ({code}) => bacon.once(code)}).then(({status, value}) => {
+                assert.equal(status, 400);
+                assert.equal(value, 'baconjs-router.malformed-url');
+            })
+        ));
+
+        it('resolves handler errors as 500s', () => (
+            resolveRoute(routes, '/broken').then(({status, error}) => {
+                assert.equal(status, 500);
+                assert.equal(error, 'Broken');
+            })
+        ));
+
+        it('resolves handlers which end without a value, or don\'t emit one in time, as 500s', () => (
+            Promise.all([
+                resolveRoute(routes, '/empty'),
+                resolveRoute(routes, '/never'),
+                resolveRoute(routes, '/pending', {timeout: 10}),
+            ]).then(([empty, never, pending]) => {
+                assert.equal(empty.status, 500);
+                assert.equal(empty.error.message, 'baconRouter: Route "empty" ended without a value');
+                assert.equal(never.error.message, 'baconRouter: Route "never" ended without a value');
+                assert.equal(pending.status, 500);
+                assert.equal(pending.error.message, 'baconRouter: Route "pending" didn\'t emit a value within 10ms');
+            })
+        ));
+
+        it('hands back guard redirects and cancellations rather than following them', () => (
+            Promise.all([resolveRoute(routes, '/account'), resolveRoute(routes, '/admin')]).then(([redirect, cancel]) => {
+                assert.deepEqual(redirect, {status: 302, location: '/account', redirect: '/user/1'});
+                assert.equal(cancel.status, 403);
+                assert.equal(cancel.name, 'admin');
+            })
+        ));
+
+        it('resolves guard redirects to locations which can\'t be built as 500s', () => (
+            resolveRoute(routes, '/settings').then(({status, error}) => {
+                assert.equal(status, 500);
+                assert.ok(/Unknown route "nope"/.test(error.message));
+            })
+        ));
+
+        it('follows redirect routes through to where they end up, as 301s unless one of them isn\'t', () => (
+            Promise.all([resolveRoute(routes, '/profile/12?tab=stats'), resolveRoute(routes, '/me')]).then(([permanent, temporary]) => {
+                assert.deepEqual(permanent, {status: 301, location: '/profile/12?tab=stats', redirect: '/user/12?tab=stats'});
+                assert.deepEqual(temporary, {status: 302, location: '/me', redirect: '/user/1'});
+            })
+        ));
+
+        it('resolves redirect loops as 500s', () => (
+            resolveRoute(routes, '/loop').then(({status, error}) => {
+                assert.equal(status, 500);
+                assert.deepEqual(error.data.locations, ['/loop', '/loop']);
+            })
+        ));
+
+        it('rejects route tables which don\'t compile', () => (
+            resolveRoute([{name: 'home', path: '/'}], '/').then(
+                () => assert.fail('Expected a rejection'),
+                (error) => assert.ok(/Route "home" expects a handler function/.test(error.message))
+            )
+        ));
+    });
+
+    describe('createRouter', () => {
+        it('keeps its history in memory', () => {
+            const router = createRouter({baseUrl: '', initialPath: '', routes});
+            const {values, unsubscribe} = collect(router);
+
+            router.navigate('admin');
+
+            assert.deepEqual(values, ['home']); // Guards still run
+            assert.deepEqual(router.history.getEntries().map(({location}) => location), ['/']);
+
+            unsubscribe();
+            router.dispose();
+        });
+    });
+
+    describe('baconRouter', () => {
+        it('accepts the same path listed twice, the first listed winning', () => {
+            const router = baconRouter('', '', '/', () => bacon.once('first'), '/', () => bacon.once('second'));
+            const {values, unsubscribe} = collect(router);
+
+            assert.deepEqual(values, ['first']);
+            assert.deepEqual(router.routes.map(({name}) => name), ['0:/', '1:/']);
+
+            unsubscribe();
+            router.dispose();
+        });
+
+        it('creates a history bus per router, so requests stay isolated', () => {
+            const router = baconRouter('http://www.example.com', 'match/m1/supercoach', /\/match\/(.+)\/supercoach/, (matchId) => (
+                bacon.once(matchId)
+            ));
+            const {values, unsubscribe} = collect(router);
+
+            assert.notEqual(getBaconRouterHistoryBus(), getBaconRouterHistoryBus());
+            assert.notEqual(router.historyBus, getBaconRouterHistoryBus());
+            assert.deepEqual(values, ['m1']);
+
+            unsubscribe();
+            router.dispose();
+        });
+    });
+});
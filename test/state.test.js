@@ -0,0 +1,81 @@
+import assert from 'assert';
+
+import {createSessionStateStore, defaultStateSerializer, serializeState} from '../src/state';
+import {errorCodes} from '../src/errors';
+
+/**
+ * In-memory Web Storage, running out of room past a number of items.
+ *
+ * @param  {Number} [maxItems=Infinity] Most items it can hold
+ * @return {Object}                     Storage, {getItem, setItem, removeItem, keys}
+ */
+function createStorage(maxItems = Infinity) {
+    const items = {};
+
+    return {
+        getItem: (key) => (Object.prototype.hasOwnProperty.call(items, key) ? items[key] : null),
+        setItem: (key, value) => {
+            if (!Object.prototype.hasOwnProperty.call(items, key) && Object.keys(items).length >= maxItems) {
+                throw new Error('QuotaExceededError');
+            }
+
+            items[key] = String(value);
+        },
+        removeItem: (key) => {
+            delete items[key];
+        },
+        keys: () => Object.keys(items),
+    };
+}
+
+describe('serializeState', () => {
+    const options = {serializer: defaultStateSerializer, maxStateSize: 100};
+
+    it('copies JSON-safe state, dropping undefined values', () => {
+        const state = {tab: 'stats', page: 2, filters: [{team: null}], skip: undefined};
+        const serializedState = serializeState(state, options);
+
+        assert.deepEqual(serializedState, {tab: 'stats', page: 2, filters: [{team: null}]});
+        assert.notEqual(serializedState.filters, state.filters);
+    });
+
+    it('rejects state which isn\'t JSON-safe, or is too big', () => {
+        assert.throws(() => serializeState({at: new Date()}, options), (error) => (
+            error.type === errorCodes.invalidState && /state.at isn't JSON-safe/.test(error.message)
+        ));
+        assert.throws(() => serializeState({ratio: [1, NaN]}, options), ({message}) => /state.ratio\[1\] isn't JSON-safe/.test(message));
+        assert.throws(() => serializeState({text: 'x'.repeat(100)}, options), ({message}) => /over the 100 allowed/.test(message));
+    });
+
+    it('uses custom serializers', () => {
+        const serializer = {serialize: (state) => ({at: state.at.toISOString()}), deserialize: (state) => ({at: new Date(state.at)})};
+
+        assert.deepEqual(serializeState({at: new Date(0)}, {serializer, maxStateSize: 100}), {at: '1970-01-01T00:00:00.000Z'});
+    });
+});
+
+describe('createSessionStateStore', () => {
+    it('keeps state by entry ID', () => {
+        const store = createSessionStateStore({storage: createStorage()});
+
+        store.set('a', {tab: 'stats'});
+
+        assert.deepEqual(store.get('a'), {tab: 'stats'});
+        assert.equal(store.get('b'), null);
+    });
+
+    it('drops the oldest entries past maxEntries, or once storage runs out of room', () => {
+        const storage = createStorage(4); // The index, and three entries
+        const store = createSessionStateStore({storage, prefix: 'test:', maxEntries: 2});
+
+        ['a', 'b', 'c'].forEach((id) => store.set(id, id));
+
+        assert.deepEqual([store.get('a'), store.get('b'), store.get('c')], [null, 'b', 'c']);
+
+        const smallStore = createSessionStateStore({storage: createStorage(2), prefix: 'small:'});
+
+        ['a', 'b'].forEach((id) => smallStore.set(id, id));
+
+        assert.deepEqual([smallStore.get('a'), smallStore.get('b')], [null, 'b']);
+    });
+});